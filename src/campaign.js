@@ -0,0 +1,66 @@
+// ---------------- Campaign ----------------
+// A campaign walks a room through an ordered list of worlds. Each win is
+// recorded with its time in ticks; after a short countdown the room moves
+// on to the next world, and after the last one the run is complete.
+
+function createCampaign(levels) {
+  return {
+    levels: [...levels],
+    index: 0,
+    results: [],
+    totalTicks: 0,
+    advanceAt: null,
+  };
+}
+
+function currentCampaignLevel(campaign) {
+  return campaign.levels[campaign.index] ?? null;
+}
+
+function nextCampaignLevel(campaign) {
+  return campaign.levels[campaign.index + 1] ?? null;
+}
+
+function recordLevelResult(campaign, { world, ticks }, advanceAt) {
+  campaign.results.push({ world, ticks });
+  campaign.totalTicks += ticks;
+  campaign.advanceAt = advanceAt;
+}
+
+// Retrying a world that was just won takes its result back.
+function cancelLevelResult(campaign) {
+  if (campaign.advanceAt === null) return;
+  const result = campaign.results.pop();
+  if (result) campaign.totalTicks -= result.ticks;
+  campaign.advanceAt = null;
+}
+
+// Returns false once there is no world left to advance to.
+function advanceCampaign(campaign) {
+  campaign.advanceAt = null;
+  if (nextCampaignLevel(campaign) === null) return false;
+  campaign.index += 1;
+  return true;
+}
+
+function campaignProgress(campaign) {
+  if (!campaign) return null;
+  return {
+    levels: campaign.levels,
+    index: campaign.index,
+    current: currentCampaignLevel(campaign),
+    completed: campaign.results,
+    totalTicks: campaign.totalTicks,
+    advanceAt: campaign.advanceAt,
+  };
+}
+
+module.exports = {
+  createCampaign,
+  currentCampaignLevel,
+  nextCampaignLevel,
+  recordLevelResult,
+  cancelLevelResult,
+  advanceCampaign,
+  campaignProgress,
+};
@@ -0,0 +1,72 @@
+// ---------------- Chat ----------------
+// Room chat and world-space pings. Both are plain data on the room so the
+// owner node can rebuild history for late joiners; pings are not stored and
+// simply expire on every client after `ttlMs`.
+
+const CHAT_MAX_LENGTH = Number(process.env.CHAT_MAX_LENGTH || 200);
+const CHAT_HISTORY_SIZE = Number(process.env.CHAT_HISTORY_SIZE || 30);
+const CHAT_RATE_LIMIT = Number(process.env.CHAT_RATE_LIMIT || 5);
+const CHAT_RATE_WINDOW_MS = Number(process.env.CHAT_RATE_WINDOW_MS || 5000);
+const PING_TTL_MS = Number(process.env.PING_TTL_MS || 4000);
+const PING_KINDS = ["here", "jump", "wait", "danger"];
+
+// Same idea as sanitizeName, plus control characters and runs of
+// whitespace collapse to a single space.
+function sanitizeChatText(v) {
+  return String(v ?? "")
+    .replace(/[\u0000-\u001f\u007f-\u009f\u2028\u2029]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, CHAT_MAX_LENGTH);
+}
+
+function appendChatMessage(room, { playerId, name, text }, now = Date.now()) {
+  room.chatSeq = (room.chatSeq ?? 0) + 1;
+  const message = { id: room.chatSeq, playerId, name, text, at: now };
+  room.chat = [...(room.chat ?? []), message].slice(-CHAT_HISTORY_SIZE);
+  return message;
+}
+
+// Sliding-window limiter: at most `limit` hits per key within `windowMs`.
+function createRateLimiter({
+  limit = CHAT_RATE_LIMIT,
+  windowMs = CHAT_RATE_WINDOW_MS,
+} = {}) {
+  const hits = new Map();
+  return {
+    allow(key, now = Date.now()) {
+      const recent = (hits.get(key) ?? []).filter((t) => now - t < windowMs);
+      const ok = recent.length < limit;
+      if (ok) recent.push(now);
+      hits.set(key, recent);
+      return ok;
+    },
+    forget(key) {
+      hits.delete(key);
+    },
+  };
+}
+
+// Returns { kind, x, y } with the position clamped to the world, or null.
+function parsePing({ kind, x, y } = {}, world) {
+  if (!PING_KINDS.includes(kind)) return null;
+  const px = Number(x);
+  const py = Number(y);
+  if (!Number.isFinite(px) || !Number.isFinite(py)) return null;
+  return {
+    kind,
+    x: Math.round(Math.min(Math.max(px, 0), world.width)),
+    y: Math.round(py),
+  };
+}
+
+module.exports = {
+  CHAT_HISTORY_SIZE,
+  CHAT_MAX_LENGTH,
+  PING_TTL_MS,
+  PING_KINDS,
+  sanitizeChatText,
+  appendChatMessage,
+  createRateLimiter,
+  parsePing,
+};
@@ -0,0 +1,200 @@
+const http = require("http");
+const cluster = require("cluster");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { createLogger } = require("./logger");
+
+// ---------------- Cluster ----------------
+// Rooms are owned by exactly one node. Nodes talk over a small pub/sub bus:
+// the "directory" channel replicates which node owns which room code and
+// `node:<id>` channels carry events routed to a room's owner. Socket.IO
+// broadcasts cross nodes through the cluster adapter, not this bus.
+
+const BUS_TAG = "gameBus";
+
+// In-process bus: every node created on it lives in the same process. Used
+// for single-process deployments and tests.
+function createLocalBus() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  return {
+    publish(channel, msg) {
+      setImmediate(() => emitter.emit(channel, msg));
+    },
+    subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    },
+  };
+}
+
+// Worker side of the IPC bus; the primary relays messages between workers.
+function createProcessBus(proc = process) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  proc.on("message", (m) => {
+    if (m && m[BUS_TAG]) emitter.emit(m.channel, m.msg);
+  });
+
+  return {
+    publish(channel, msg) {
+      setImmediate(() => emitter.emit(channel, msg));
+      proc.send({ [BUS_TAG]: true, channel, msg });
+    },
+    subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    },
+  };
+}
+
+function relayProcessBus(primary = cluster) {
+  primary.on("message", (from, m) => {
+    if (!m || !m[BUS_TAG]) return;
+    for (const worker of Object.values(primary.workers)) {
+      if (worker && worker !== from && worker.isConnected()) worker.send(m);
+    }
+  });
+}
+
+// Besides the owner, every entry carries the room's lobby summary (or null)
+// so any node can answer room browser requests.
+//
+// Claims are local-first: two nodes can take the same free code before
+// either hears about the other. When their claims cross, every node keeps
+// the lower node id as the owner, and the node that lost gets
+// onLost(roomCode) to close its copy of the room.
+function createRoomDirectory({ bus, nodeId, onLost = () => {} }) {
+  const entries = new Map();
+  const announce = (type, roomCode, info) =>
+    bus.publish("directory", { type, roomCode, info, from: nodeId });
+
+  bus.subscribe("directory", (m) => {
+    if (!m || m.from === nodeId) return;
+
+    if (m.type === "claim" || m.type === "update") {
+      const entry = entries.get(m.roomCode);
+      if (entry && entry.owner !== m.from) {
+        if (m.type === "update" || entry.owner < m.from) return;
+      }
+      entries.set(m.roomCode, { owner: m.from, info: m.info ?? null });
+      if (entry?.owner === nodeId) onLost(m.roomCode);
+    } else if (m.type === "release") {
+      if (entries.get(m.roomCode)?.owner === m.from) {
+        entries.delete(m.roomCode);
+      }
+    } else if (m.type === "sync") {
+      for (const [roomCode, entry] of entries) {
+        if (entry.owner === nodeId) announce("claim", roomCode, entry.info);
+      }
+    } else if (m.type === "leave") {
+      for (const [roomCode, entry] of entries) {
+        if (entry.owner === m.from) entries.delete(roomCode);
+      }
+    }
+  });
+
+  // Ask the nodes that are already running which rooms they own.
+  bus.publish("directory", { type: "sync", from: nodeId });
+
+  return {
+    nodeId,
+    has: (roomCode) => entries.has(roomCode),
+    ownerOf: (roomCode) => entries.get(roomCode)?.owner ?? null,
+    isLocal: (roomCode) => entries.get(roomCode)?.owner === nodeId,
+    size: () => entries.size,
+    owners: () => [...new Set([...entries.values()].map((e) => e.owner))],
+    list: () => [...entries.values()].map((e) => e.info).filter(Boolean),
+    claim(roomCode, info = null) {
+      const entry = entries.get(roomCode);
+      if (entry && entry.owner !== nodeId) return false;
+      entries.set(roomCode, { owner: nodeId, info });
+      announce("claim", roomCode, info);
+      return true;
+    },
+    update(roomCode, info) {
+      const entry = entries.get(roomCode);
+      if (!entry || entry.owner !== nodeId) return;
+      entry.info = info;
+      announce("update", roomCode, info);
+    },
+    release(roomCode) {
+      if (entries.get(roomCode)?.owner !== nodeId) return;
+      entries.delete(roomCode);
+      announce("release", roomCode);
+    },
+  };
+}
+
+function startClusterPrimary({ port, host, workers }) {
+  // Required lazily: single-process deployments never load them.
+  const { setupMaster } = require("@socket.io/sticky");
+  const { setupPrimary } = require("@socket.io/cluster-adapter");
+
+  // Workers must agree on the secret or tokens would only work on one node.
+  process.env.SESSION_SECRET ||= crypto.randomBytes(32).toString("hex");
+
+  const log = createLogger({ context: { node: "primary" } });
+  const httpServer = http.createServer();
+  setupMaster(httpServer, { loadBalancingMethod: "least-connection" });
+  setupPrimary();
+  relayProcessBus(cluster);
+  // Sticky sessions hand raw request buffers to workers over IPC.
+  cluster.setupPrimary({ serialization: "advanced" });
+
+  // Each worker keeps its slot across restarts so its node id, and with it
+  // its room snapshot file, survives a crash.
+  const slots = new Map();
+  const fork = (slot) => {
+    const worker = cluster.fork({ NODE_ID: `worker-${slot}` });
+    slots.set(worker.id, slot);
+  };
+
+  // Workers shut down on their own schedule; the primary passes the signal
+  // on and leaves once the last one is gone.
+  let stopping = false;
+  const stop = (signal) => {
+    if (stopping) return;
+    stopping = true;
+    log.warn("stopping workers", { signal });
+    httpServer.close();
+    for (const w of Object.values(cluster.workers)) w?.process.kill("SIGTERM");
+  };
+  process.on("SIGTERM", () => stop("SIGTERM"));
+  process.on("SIGINT", () => stop("SIGINT"));
+
+  cluster.on("exit", (worker, code, signal) => {
+    const slot = slots.get(worker.id);
+    slots.delete(worker.id);
+    if (stopping) {
+      log.info("worker stopped", { slot, code, signal });
+      if (!slots.size) process.exit(0);
+      return;
+    }
+    log.error("worker exited", { slot, code, signal });
+
+    for (const w of Object.values(cluster.workers)) {
+      w?.send({
+        [BUS_TAG]: true,
+        channel: "directory",
+        msg: { type: "leave", from: `worker-${slot}` },
+      });
+    }
+    fork(slot);
+  });
+
+  for (let i = 1; i <= workers; i++) fork(i);
+
+  httpServer.listen(port, host, () => {
+    log.info("cluster primary listening", { port, workers });
+  });
+}
+
+module.exports = {
+  createLocalBus,
+  createProcessBus,
+  relayProcessBus,
+  createRoomDirectory,
+  startClusterPrimary,
+};
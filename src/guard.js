@@ -0,0 +1,309 @@
+// ---------------- Event guard ----------------
+// Every inbound socket event passes through here before its handler runs:
+// the payload is checked against the event's schema (unknown keys are
+// dropped), a per-socket token bucket for the event is charged, and sockets
+// that keep tripping either check are flagged as abusive.
+
+const ABUSE_THRESHOLD = Number(process.env.ABUSE_THRESHOLD || 30);
+const ABUSE_WINDOW_MS = Number(process.env.ABUSE_WINDOW_MS || 10000);
+
+// ---------------- Schemas ----------------
+// Rules: { type, required, maxLength, min, max, values, fields }. "bool"
+// also takes 0/1, "id" takes a string or a number, numbers may arrive as
+// numeric strings and strings as numbers, matching what older clients send
+// (see coerceValue).
+const str = (maxLength, extra = {}) => ({
+  type: "string",
+  maxLength,
+  ...extra,
+});
+const num = (extra = {}) => ({ type: "number", ...extra });
+const int = (extra = {}) => ({ type: "integer", ...extra });
+const bool = { type: "bool" };
+const id = (maxLength = 64) => ({ type: "id", maxLength });
+const obj = (fields) => ({ type: "object", fields });
+
+const ROOM_CODE = str(16, { required: true });
+const PLAYER_ID = str(64);
+const WORLD = id(32);
+const KEYS = obj({ left: bool, right: bool, jump: bool, ability: bool });
+const VIEWPORT = {
+  canvasHeight: num(),
+  viewportHeight: num(),
+  height: num(),
+};
+const INPUT = {
+  ...KEYS.fields,
+  ...VIEWPORT,
+  input: KEYS,
+  keys: KEYS,
+  seq: int({ min: 0 }),
+  t: num(),
+  timestamp: num(),
+};
+// "level" follows the level's own respawn setting.
+const RESPAWN_MODE = str(16, { values: ["level", "checkpoint", "reset"] });
+const TARGET = { playerId: str(64, { required: true }) };
+
+// null: the event takes no payload and whatever was sent is ignored.
+const EVENT_SCHEMAS = {
+  createRoom: {
+    roomCode: str(16),
+    maxPlayers: int({ required: true, min: 1, max: 4 }),
+    hostId: PLAYER_ID,
+    playerName: str(64),
+    world: WORLD,
+    level: WORLD,
+    visibility: str(16, { values: ["public", "private"] }),
+    viewportMode: str(16, { values: ["fixed", "legacy"] }),
+    mode: str(16, { values: ["single", "campaign"] }),
+    respawnMode: RESPAWN_MODE,
+    ...VIEWPORT,
+  },
+  joinRoom: { roomCode: ROOM_CODE, playerId: PLAYER_ID, name: str(64) },
+  spectateRoom: { roomCode: ROOM_CODE, follow: PLAYER_ID },
+  followPlayer: { playerId: PLAYER_ID },
+  stopSpectating: null,
+  setWorld: { world: WORLD },
+  setLevel: { level: WORLD, world: WORLD },
+  setRespawnMode: { respawnMode: { ...RESPAWN_MODE, required: true } },
+  setPlayerName: { name: str(64) },
+  selectHero: { hero: str(32) },
+  setReady: { ready: bool },
+  startGameNow: null,
+  restartLevel: null,
+  returnToLobby: null,
+  playerInput: INPUT,
+  playerMove: INPUT,
+  stateAck: { seq: int({ required: true, min: 0 }) },
+  requestKeyframe: null,
+  kickPlayer: TARGET,
+  banPlayer: TARGET,
+  transferHost: TARGET,
+  lockRoom: { locked: bool },
+  chatMessage: { text: str(1000, { required: true }) },
+  placePing: {
+    kind: str(16, { required: true }),
+    x: num({ required: true }),
+    y: num({ required: true }),
+  },
+  listRooms: null,
+  stopListRooms: null,
+  playReplay: { id: str(64, { required: true }), speed: num() },
+  stopReplay: null,
+};
+
+// ---------------- Rate limits ----------------
+// Tokens per second and bucket size, per socket and event.
+const DEFAULT_LIMIT = { rate: 5, burst: 10 };
+const EVENT_LIMITS = {
+  playerInput: { rate: 90, burst: 120 },
+  playerMove: { rate: 90, burst: 120 },
+  stateAck: { rate: 60, burst: 90 },
+  requestKeyframe: { rate: 2, burst: 5 },
+  createRoom: { rate: 1, burst: 5 },
+  joinRoom: { rate: 1, burst: 5 },
+  spectateRoom: { rate: 1, burst: 5 },
+  listRooms: { rate: 1, burst: 3 },
+  chatMessage: { rate: 2, burst: 5 },
+  placePing: { rate: 2, burst: 5 },
+};
+
+// The handlers used to run Number()/String() on what they were given, so a
+// "4" for maxPlayers or a numeric room code still has to work.
+function coerceValue(rule, v) {
+  if (
+    (rule.type === "number" || rule.type === "integer") &&
+    typeof v === "string" &&
+    v.trim() !== "" &&
+    Number.isFinite(Number(v))
+  ) {
+    return Number(v);
+  }
+  if (rule.type === "string" && typeof v === "number" && Number.isFinite(v)) {
+    return String(v);
+  }
+  return v;
+}
+
+function checkValue(rule, v, path) {
+  switch (rule.type) {
+    case "string":
+      if (typeof v !== "string") return `${path} must be a string`;
+      break;
+    case "id":
+      if (typeof v === "number" && Number.isFinite(v)) return null;
+      if (typeof v !== "string") return `${path} must be a string or number`;
+      break;
+    case "number":
+    case "integer":
+      if (typeof v !== "number" || !Number.isFinite(v)) {
+        return `${path} must be a number`;
+      }
+      if (rule.type === "integer" && !Number.isSafeInteger(v)) {
+        return `${path} must be an integer`;
+      }
+      if (rule.min !== undefined && v < rule.min) {
+        return `${path} must be at least ${rule.min}`;
+      }
+      if (rule.max !== undefined && v > rule.max) {
+        return `${path} must be at most ${rule.max}`;
+      }
+      return null;
+    case "bool":
+      if (typeof v === "boolean" || v === 0 || v === 1) return null;
+      return `${path} must be a boolean`;
+    case "object":
+      return null;
+    default:
+      return `${path} has an unknown rule`;
+  }
+
+  if (rule.maxLength !== undefined && v.length > rule.maxLength) {
+    return `${path} must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.values && !rule.values.includes(v)) {
+    return `${path} must be one of ${rule.values.join(", ")}`;
+  }
+  return null;
+}
+
+// Returns { value } holding only the known keys, or { error }.
+function validateFields(fields, payload, prefix = "") {
+  if (payload === undefined || payload === null) payload = {};
+  if (typeof payload !== "object" || Array.isArray(payload)) {
+    return { error: `${prefix || "payload"} must be an object` };
+  }
+
+  const value = {};
+  for (const [key, rule] of Object.entries(fields)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const v = coerceValue(rule, payload[key]);
+    if (v === undefined || v === null) {
+      if (rule.required) return { error: `${path} is required` };
+      continue;
+    }
+
+    if (rule.type === "object") {
+      const nested = validateFields(rule.fields, v, path);
+      if (nested.error) return nested;
+      value[key] = nested.value;
+      continue;
+    }
+
+    const error = checkValue(rule, v, path);
+    if (error) return { error };
+    value[key] = v;
+  }
+  return { value };
+}
+
+function validatePayload(event, payload, schemas = EVENT_SCHEMAS) {
+  if (!Object.hasOwn(schemas, event)) return { error: "Unknown event" };
+  const fields = schemas[event];
+  if (fields === null) return { value: undefined };
+  return validateFields(fields, payload);
+}
+
+function takeToken(buckets, event, { rate, burst }, now) {
+  const bucket = buckets.get(event) ?? { tokens: burst, at: now };
+  bucket.tokens = Math.min(
+    burst,
+    bucket.tokens + ((now - bucket.at) * rate) / 1000,
+  );
+  bucket.at = now;
+  buckets.set(event, bucket);
+
+  if (bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
+  return true;
+}
+
+function createEventGuard({
+  schemas = EVENT_SCHEMAS,
+  limits = EVENT_LIMITS,
+  abuseThreshold = ABUSE_THRESHOLD,
+  abuseWindowMs = ABUSE_WINDOW_MS,
+} = {}) {
+  const counters = {
+    accepted: 0,
+    invalid: 0,
+    rateLimited: 0,
+    unknown: 0,
+    abuseDisconnects: 0,
+    byEvent: {},
+  };
+
+  const count = (event, key) => {
+    counters[key] += 1;
+    const e = (counters.byEvent[event] ??= {
+      accepted: 0,
+      invalid: 0,
+      rateLimited: 0,
+    });
+    e[key] += 1;
+  };
+
+  return {
+    createSocketState: () => ({ buckets: new Map(), violations: [] }),
+
+    // { ok: true, value } or { ok: false, code, message, abusive }.
+    check(state, event, payload, now = Date.now()) {
+      // Packets already queued from a socket being disconnected.
+      if (state.abusive) {
+        return { ok: false, code: "abuse", message: "Disconnected" };
+      }
+
+      let code = null;
+      let message = null;
+      let value;
+
+      if (!Object.hasOwn(schemas, event)) {
+        counters.unknown += 1;
+        code = "unknown_event";
+        message = "Unknown event";
+      } else if (
+        !takeToken(state.buckets, event, limits[event] ?? DEFAULT_LIMIT, now)
+      ) {
+        count(event, "rateLimited");
+        code = "rate_limited";
+        message = "Too many requests";
+      } else {
+        const result = validatePayload(event, payload, schemas);
+        if (result.error) {
+          count(event, "invalid");
+          code = "invalid_payload";
+          message = result.error;
+        } else {
+          value = result.value;
+        }
+      }
+
+      if (!code) {
+        count(event, "accepted");
+        return { ok: true, value };
+      }
+
+      state.violations = state.violations.filter(
+        (t) => now - t < abuseWindowMs,
+      );
+      state.violations.push(now);
+      const abusive = state.violations.length >= abuseThreshold;
+      if (abusive) {
+        state.abusive = true;
+        counters.abuseDisconnects += 1;
+      }
+
+      return { ok: false, code, message, abusive };
+    },
+
+    stats: () => JSON.parse(JSON.stringify(counters)),
+  };
+}
+
+module.exports = {
+  EVENT_SCHEMAS,
+  EVENT_LIMITS,
+  validatePayload,
+  createEventGuard,
+};
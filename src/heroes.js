@@ -0,0 +1,56 @@
+// ---------------- Heroes ----------------
+// Every hero scales the world's physics and brings one ability. moveSpeed
+// and jumpForce multiply the level's values; width/height replace the
+// default collider. Durations and cooldowns are in simulation ticks.
+
+const HEROES = {
+  jumper: {
+    name: "Jumper",
+    moveSpeed: 1,
+    jumpForce: 1.05,
+    width: 40,
+    height: 52,
+    ability: "doubleJump",
+    airJumps: 1,
+  },
+  tank: {
+    name: "Tank",
+    moveSpeed: 0.8,
+    jumpForce: 0.9,
+    width: 55,
+    height: 60,
+    // Braced in place: no walking, jumping, lifting or platform carry.
+    ability: "heavyStance",
+    durationTicks: 60,
+    cooldownTicks: 90,
+  },
+  dasher: {
+    name: "Dasher",
+    moveSpeed: 1.15,
+    jumpForce: 1,
+    width: 45,
+    height: 55,
+    ability: "dash",
+    dashSpeed: 14,
+    durationTicks: 8,
+    cooldownTicks: 45,
+  },
+  carrier: {
+    name: "Carrier",
+    moveSpeed: 0.9,
+    jumpForce: 0.95,
+    width: 50,
+    height: 58,
+    // Launches every teammate standing on the carrier's head.
+    ability: "lift",
+    liftForce: 1.3,
+    cooldownTicks: 60,
+  },
+};
+
+const isHeroId = (id) => typeof id === "string" && Object.hasOwn(HEROES, id);
+
+module.exports = {
+  HEROES,
+  isHeroId,
+};
@@ -0,0 +1,124 @@
+const fs = require("fs");
+const path = require("path");
+
+// ---------------- Leaderboards ----------------
+// Every won run is appended as one JSON line to a shared file, so cluster
+// workers can all write to it and each one sees the others' runs. Runs are
+// held in memory; refresh() reads only what was appended since the last
+// read, in the background, so ranking a run never blocks a room's tick.
+
+const LEADERBOARD_SIZE = Number(process.env.LEADERBOARD_SIZE || 10);
+
+// Fewer ticks wins; deaths and then the earlier finish break ties.
+function compareRuns(a, b) {
+  return (
+    a.ticks - b.ticks || a.deaths - b.deaths || a.finishedAt - b.finishedAt
+  );
+}
+
+// { [teamSize]: runs } with the best `size` runs for each team size.
+function buildLeaderboard(runs, world, size = LEADERBOARD_SIZE) {
+  const board = {};
+  for (const run of runs) {
+    if (run.world !== world) continue;
+    (board[run.teamSize] ??= []).push(run);
+  }
+  for (const teamSize of Object.keys(board)) {
+    board[teamSize] = board[teamSize].sort(compareRuns).slice(0, size);
+  }
+  return board;
+}
+
+function parseRuns(text) {
+  const runs = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      runs.push(JSON.parse(line));
+    } catch {
+      // A line cut short by a crash; the rest of the file is still good.
+    }
+  }
+  return runs;
+}
+
+function createRunStore(dir, fileName = "runs.jsonl") {
+  const file = path.join(dir, fileName);
+  let runs = [];
+  let offset = 0;
+  let waiting = [];
+  let reading = false;
+
+  // Parses the complete lines appended since the last read; a line still
+  // being written is left for the next one.
+  const readAppended = (cb) => {
+    fs.stat(file, (statErr, stat) => {
+      if (statErr) return cb(statErr.code === "ENOENT" ? null : statErr);
+      if (stat.size < offset) {
+        runs = [];
+        offset = 0;
+      }
+      if (stat.size === offset) return cb(null);
+      const chunks = [];
+      fs.createReadStream(file, { start: offset, end: stat.size - 1 })
+        .on("data", (chunk) => chunks.push(chunk))
+        .on("error", cb)
+        .on("end", () => {
+          const text = Buffer.concat(chunks);
+          const end = text.lastIndexOf("\n") + 1;
+          runs = runs.concat(parseRuns(text.subarray(0, end).toString("utf8")));
+          offset += end;
+          cb(null);
+        });
+    });
+  };
+
+  // Callers that arrive mid-read get another read once it ends, so each
+  // one sees everything appended before it asked.
+  const readNext = () => {
+    reading = true;
+    const callbacks = waiting;
+    waiting = [];
+    readAppended((err) => {
+      reading = false;
+      for (const cb of callbacks) cb(err);
+      if (waiting.length) readNext();
+    });
+  };
+
+  return {
+    // Runs as of the last refresh; never touches the disk.
+    runs: () => runs,
+    leaderboard: (world, size) => buildLeaderboard(runs, world, size),
+    refresh(cb = () => {}) {
+      waiting.push(cb);
+      if (!reading) readNext();
+    },
+    append(run, cb = () => {}) {
+      fs.mkdir(dir, { recursive: true }, (mkErr) => {
+        if (mkErr) return cb(mkErr);
+        fs.appendFile(file, JSON.stringify(run) + "\n", cb);
+      });
+    },
+  };
+}
+
+// 1-based place of `run` among the runs of its world and team size.
+function rankRun(runs, run) {
+  let rank = 1;
+  for (const other of runs) {
+    if (other === run) continue;
+    if (other.world !== run.world || other.teamSize !== run.teamSize) continue;
+    if (compareRuns(other, run) < 0) rank += 1;
+  }
+  return rank;
+}
+
+module.exports = {
+  LEADERBOARD_SIZE,
+  compareRuns,
+  buildLeaderboard,
+  parseRuns,
+  createRunStore,
+  rankRun,
+};
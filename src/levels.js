@@ -0,0 +1,269 @@
+const fs = require("fs");
+const path = require("path");
+
+// ---------------- Level definitions ----------------
+// Every *.json file in the levels directory describes one world. Coordinates
+// are absolute world pixels; adjustable levels are authored at `baseY` and
+// shifted vertically when a room runs them at a different base line.
+
+const PHYSICS_KEYS = ["gravity", "moveSpeed", "jumpForce", "maxFallSpeed"];
+const HAZARD_TYPES = ["dangerButton"];
+// "checkpoint" respawns the team at the last checkpoint it touched; "reset"
+// sends everyone back to the start on any death.
+const RESPAWN_MODES = ["checkpoint", "reset"];
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+function checkRect(errors, where, r) {
+  if (!r || typeof r !== "object" || Array.isArray(r)) {
+    errors.push(`${where} must be an object with x, y, width, height`);
+    return false;
+  }
+  let ok = true;
+  for (const k of ["x", "y"]) {
+    if (!isNum(r[k])) {
+      errors.push(`${where}.${k} must be a number`);
+      ok = false;
+    }
+  }
+  for (const k of ["width", "height"]) {
+    if (!isNum(r[k]) || r[k] <= 0) {
+      errors.push(`${where}.${k} must be a positive number`);
+      ok = false;
+    }
+  }
+  return ok;
+}
+
+function checkRectList(errors, def, key, extra) {
+  const list = def[key];
+  if (list === undefined) return;
+  if (!Array.isArray(list)) {
+    errors.push(`${key} must be an array`);
+    return;
+  }
+  list.forEach((item, i) => {
+    const where = `${key}[${i}]`;
+    if (checkRect(errors, where, item) && extra) extra(item, where);
+  });
+}
+
+function checkSpawnPoints(errors, where, points) {
+  if (!Array.isArray(points) || points.length === 0) {
+    errors.push(`${where} must be a non-empty array`);
+    return;
+  }
+  points.forEach((sp, i) => {
+    if (!sp || !isNum(sp.x) || !isNum(sp.y)) {
+      errors.push(`${where}[${i}] must have numeric x and y`);
+    }
+  });
+}
+
+function validateLevelDefinition(def) {
+  const errors = [];
+
+  if (!def || typeof def !== "object" || Array.isArray(def)) {
+    return ["level must be a JSON object"];
+  }
+
+  if (!Number.isInteger(def.id) || def.id < 1) {
+    errors.push("id must be a positive integer");
+  }
+  if (def.name !== undefined && typeof def.name !== "string") {
+    errors.push("name must be a string");
+  }
+  if (
+    def.aliases !== undefined &&
+    (!Array.isArray(def.aliases) ||
+      def.aliases.some((a) => typeof a !== "string"))
+  ) {
+    errors.push("aliases must be an array of strings");
+  }
+  if (!isNum(def.width) || def.width <= 0) {
+    errors.push("width must be a positive number");
+  }
+  if (!isNum(def.groundY)) errors.push("groundY must be a number");
+  if (def.adjustableBaseY && !isNum(def.baseY)) {
+    errors.push("baseY is required when adjustableBaseY is set");
+  }
+
+  for (const k of ["hasGlobalFloor", "stopOnRelease", "adjustableBaseY"]) {
+    if (def[k] !== undefined && typeof def[k] !== "boolean") {
+      errors.push(`${k} must be a boolean`);
+    }
+  }
+
+  if (def.physics !== undefined) {
+    if (!def.physics || typeof def.physics !== "object") {
+      errors.push("physics must be an object");
+    } else {
+      for (const [k, v] of Object.entries(def.physics)) {
+        if (!PHYSICS_KEYS.includes(k)) {
+          errors.push(`physics.${k} is not a known physics setting`);
+        } else if (!isNum(v)) {
+          errors.push(`physics.${k} must be a number`);
+        }
+      }
+    }
+  }
+
+  const req = def.doorRequirement;
+  if (
+    req !== undefined &&
+    req !== "all" &&
+    !(Number.isInteger(req) && req > 0)
+  ) {
+    errors.push('doorRequirement must be a positive integer or "all"');
+  }
+
+  if (def.respawn !== undefined && !RESPAWN_MODES.includes(def.respawn)) {
+    errors.push(`respawn must be one of: ${RESPAWN_MODES.join(", ")}`);
+  }
+
+  checkSpawnPoints(errors, "spawnPoints", def.spawnPoints);
+
+  if (!Array.isArray(def.platforms)) errors.push("platforms must be an array");
+  checkRectList(errors, def, "platforms");
+  checkRectList(errors, def, "movingPlatforms", (mp, where) => {
+    if (!isNum(mp.startX) || !isNum(mp.endX) || mp.startX > mp.endX) {
+      errors.push(`${where} needs numeric startX <= endX`);
+    }
+    if (!isNum(mp.speed) || mp.speed <= 0) {
+      errors.push(`${where}.speed must be a positive number`);
+    }
+    if (
+      mp.direction !== undefined &&
+      mp.direction !== 1 &&
+      mp.direction !== -1
+    ) {
+      errors.push(`${where}.direction must be 1 or -1`);
+    }
+  });
+  checkRectList(errors, def, "fallingPlatforms");
+  checkRectList(errors, def, "hazards", (h, where) => {
+    if (h.type !== undefined && !HAZARD_TYPES.includes(h.type)) {
+      errors.push(`${where}.type must be one of: ${HAZARD_TYPES.join(", ")}`);
+    }
+  });
+
+  // Plates are pressed by `required` players standing on them (players
+  // stacked on those count too) and stay active for `durationTicks` after
+  // being left. A gate slides to `open` while all of its plates are active.
+  const plateIds = new Set();
+  checkRectList(errors, def, "plates", (plate, where) => {
+    if (typeof plate.id !== "string" || !plate.id) {
+      errors.push(`${where}.id must be a non-empty string`);
+    } else if (plateIds.has(plate.id)) {
+      errors.push(`${where}.id "${plate.id}" is already used`);
+    } else {
+      plateIds.add(plate.id);
+    }
+    if (
+      plate.required !== undefined &&
+      !(Number.isInteger(plate.required) && plate.required > 0)
+    ) {
+      errors.push(`${where}.required must be a positive integer`);
+    }
+    if (
+      plate.durationTicks !== undefined &&
+      !(Number.isInteger(plate.durationTicks) && plate.durationTicks >= 0)
+    ) {
+      errors.push(`${where}.durationTicks must be a non-negative integer`);
+    }
+  });
+  checkRectList(errors, def, "gates", (gate, where) => {
+    if (!Array.isArray(gate.plates) || gate.plates.length === 0) {
+      errors.push(`${where}.plates must be a non-empty array of plate ids`);
+    } else {
+      for (const id of gate.plates) {
+        if (!plateIds.has(id)) {
+          errors.push(`${where}.plates refers to unknown plate "${id}"`);
+        }
+      }
+    }
+    if (
+      gate.open !== undefined &&
+      !(isNum(gate.open?.x) && isNum(gate.open?.y))
+    ) {
+      errors.push(`${where}.open must have numeric x and y`);
+    }
+    if (gate.speed !== undefined && !(isNum(gate.speed) && gate.speed > 0)) {
+      errors.push(`${where}.speed must be a positive number`);
+    }
+  });
+  checkRectList(errors, def, "checkpoints", (cp, where) => {
+    checkSpawnPoints(errors, `${where}.spawnPoints`, cp.spawnPoints);
+  });
+
+  checkRect(errors, "key", def.key);
+  checkRect(errors, "door", def.door);
+
+  return errors;
+}
+
+function levelNames(def) {
+  const names = [String(def.id), `map${def.id}`, `world${def.id}`];
+  if (def.name) names.push(def.name);
+  if (Array.isArray(def.aliases)) names.push(...def.aliases);
+  return names.map((n) => n.toLowerCase().trim());
+}
+
+function loadLevels(dir) {
+  const levels = new Map();
+  const names = new Map();
+  const report = [];
+
+  let files = [];
+  try {
+    files = fs
+      .readdirSync(dir)
+      .filter((f) => f.toLowerCase().endsWith(".json"))
+      .sort();
+  } catch (e) {
+    report.push({
+      file: dir,
+      errors: [`cannot read levels directory: ${e.message}`],
+    });
+    return { levels, names, report };
+  }
+
+  for (const file of files) {
+    let def;
+    try {
+      def = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    } catch (e) {
+      report.push({ file, errors: [`invalid JSON: ${e.message}`] });
+      continue;
+    }
+
+    const errors = validateLevelDefinition(def);
+    if (!errors.length && levels.has(def.id)) {
+      errors.push(`id ${def.id} is already used by ${levels.get(def.id).file}`);
+    }
+    if (!errors.length) {
+      for (const n of levelNames(def)) {
+        const owner = names.get(n);
+        if (owner !== undefined && owner !== def.id) {
+          errors.push(`name "${n}" is already used by level ${owner}`);
+        }
+      }
+    }
+
+    if (errors.length) {
+      report.push({ file, errors });
+      continue;
+    }
+
+    levels.set(def.id, { ...def, file });
+    for (const n of levelNames(def)) names.set(n, def.id);
+  }
+
+  return { levels, names, report };
+}
+
+module.exports = {
+  RESPAWN_MODES,
+  validateLevelDefinition,
+  loadLevels,
+};
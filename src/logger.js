@@ -0,0 +1,48 @@
+// ---------------- Logging ----------------
+// One JSON object per line: time, level, msg, then the logger's context
+// (node, roomCode, playerId, socketId, ...) and the call's own fields.
+// Lines below LOG_LEVEL are dropped; "silent" drops everything.
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const writeLine = (level, line) =>
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn
+    ? process.stderr
+    : process.stdout
+  ).write(line + "\n");
+
+function serializeField(v) {
+  if (v instanceof Error) {
+    return { name: v.name, message: v.message, stack: v.stack };
+  }
+  return v;
+}
+
+function createLogger({
+  level = process.env.LOG_LEVEL,
+  context = {},
+  write = writeLine,
+  now = () => new Date(),
+} = {}) {
+  const threshold = LOG_LEVELS[String(level).toLowerCase()] ?? LOG_LEVELS.info;
+
+  const emit = (lvl, msg, fields = {}) => {
+    if (LOG_LEVELS[lvl] < threshold) return;
+    const entry = { time: now().toISOString(), level: lvl, msg };
+    for (const [k, v] of Object.entries({ ...context, ...fields })) {
+      if (v !== undefined && v !== null) entry[k] = serializeField(v);
+    }
+    write(lvl, JSON.stringify(entry));
+  };
+
+  return {
+    debug: (msg, fields) => emit("debug", msg, fields),
+    info: (msg, fields) => emit("info", msg, fields),
+    warn: (msg, fields) => emit("warn", msg, fields),
+    error: (msg, fields) => emit("error", msg, fields),
+    child: (extra) =>
+      createLogger({ level, context: { ...context, ...extra }, write, now }),
+  };
+}
+
+module.exports = { LOG_LEVELS, createLogger };
@@ -0,0 +1,106 @@
+// ---------------- Metrics ----------------
+// A small registry rendered in the Prometheus text exposition format.
+// Counters and histograms are updated as things happen; gauges are read
+// from a callback at scrape time.
+
+const escapeLabel = (v) =>
+  String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort());
+
+function createMetrics() {
+  const metrics = new Map();
+
+  const register = (name, help, type, impl) => {
+    if (metrics.has(name)) throw new Error(`Metric ${name} already exists`);
+    metrics.set(name, { name, help, type, ...impl });
+    return impl.api;
+  };
+
+  function counter(name, help) {
+    const series = new Map();
+    const api = {
+      inc(labels = {}, by = 1) {
+        const key = labelKey(labels);
+        const s = series.get(key) ?? { labels, value: 0 };
+        s.value += by;
+        series.set(key, s);
+      },
+    };
+    return register(name, help, "counter", {
+      api,
+      lines: () =>
+        [...series.values()].map(
+          (s) => `${name}${formatLabels(s.labels)} ${s.value}`,
+        ),
+    });
+  }
+
+  // `collect` returns [{ labels, value }] or a plain number.
+  function gauge(name, help, collect) {
+    return register(name, help, "gauge", {
+      api: {},
+      lines() {
+        const value = collect();
+        const series = typeof value === "number" ? [{ value }] : value;
+        return series.map(
+          (s) => `${name}${formatLabels(s.labels ?? {})} ${s.value}`,
+        );
+      },
+    });
+  }
+
+  function histogram(name, help, buckets) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    const api = {
+      observe(value, labels = {}) {
+        const key = labelKey(labels);
+        const s = series.get(key) ?? {
+          labels,
+          counts: bounds.map(() => 0),
+          sum: 0,
+          count: 0,
+        };
+        bounds.forEach((b, i) => {
+          if (value <= b) s.counts[i] += 1;
+        });
+        s.sum += value;
+        s.count += 1;
+        series.set(key, s);
+      },
+    };
+    return register(name, help, "histogram", {
+      api,
+      lines: () =>
+        [...series.values()].flatMap((s) => [
+          ...bounds.map(
+            (b, i) =>
+              `${name}_bucket${formatLabels({ ...s.labels, le: b })} ${s.counts[i]}`,
+          ),
+          `${name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}`,
+          `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+          `${name}_count${formatLabels(s.labels)} ${s.count}`,
+        ]),
+    });
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics.values()) {
+      out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+      out.push(...m.lines());
+    }
+    return out.join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics };
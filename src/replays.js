@@ -0,0 +1,237 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const {
+  stepRoom,
+  removePlayerState,
+  setRoomBaseY,
+  setPlayerRewind,
+  resetRoundAfterDeath,
+} = require("./simulation");
+
+// ---------------- Replays ----------------
+// A replay is the room as it stood when the round started plus the input
+// each player actually applied, stored only when it changes. Since stepRoom
+// is deterministic, re-running those inputs reproduces the run exactly.
+//
+// inputs: [tick, slot, bits]  (bits: 1 = left, 2 = right, 4 = jump,
+//                               8 = ability)
+// events: [tick, type, ...args] applied before the step after `tick`
+
+const REPLAY_VERSION = 1;
+const REPLAY_ID_RE = /^[a-z0-9-]{1,64}$/;
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+const EVENT_HANDLERS = {
+  leave: removePlayerState,
+  baseY: setRoomBaseY,
+  rewind: setPlayerRewind,
+  reset: resetRoundAfterDeath,
+};
+
+const inputBits = (input) =>
+  (input?.left ? 1 : 0) |
+  (input?.right ? 2 : 0) |
+  (input?.jump ? 4 : 0) |
+  (input?.ability ? 8 : 0);
+
+const bitsInput = (bits) => ({
+  left: Boolean(bits & 1),
+  right: Boolean(bits & 2),
+  jump: Boolean(bits & 4),
+  ability: Boolean(bits & 8),
+});
+
+function startRecording(room) {
+  const startedAt = Date.now();
+  return {
+    version: REPLAY_VERSION,
+    id: `${startedAt.toString(36)}-${crypto.randomBytes(4).toString("hex")}`,
+    roomCode: room.roomCode,
+    world: room.world,
+    world2BaseY: room.world2BaseY,
+    viewportMode: room.viewportMode,
+    respawnMode: room.respawnMode,
+    startTick: room.tick,
+    startedAt,
+    endedAt: null,
+    result: null,
+    hostId: room.hostId,
+    maxPlayers: room.maxPlayers,
+    playerOrder: [...room.playerOrder],
+    players: clone(room.players),
+    level: room.level,
+    worldRuntime: clone(room.worldRuntime),
+    gameState: clone(room.gameState),
+    respawnAtTick: room.respawnAtTick,
+    rewindTicks: { ...room.rewindTicks },
+    endTick: room.tick,
+    inputs: [],
+    events: [],
+    lastBits: {},
+  };
+}
+
+function recordTick(rec, room) {
+  rec.playerOrder.forEach((pid, slot) => {
+    if (!room.players[pid]) return;
+    const bits = inputBits(room.inputs[pid]);
+    if ((rec.lastBits[slot] ?? 0) === bits) return;
+    rec.lastBits[slot] = bits;
+    rec.inputs.push([room.tick, slot, bits]);
+  });
+  rec.endTick = room.tick;
+}
+
+function recordEvent(rec, room, type, ...args) {
+  rec.events.push([room.tick, type, ...args]);
+}
+
+function finishRecording(rec, result) {
+  const { lastBits, ...replay } = rec;
+  return { ...replay, endedAt: Date.now(), result };
+}
+
+function replayFile(dir, id) {
+  return path.join(dir, `${id}.json.gz`);
+}
+
+function saveReplay(dir, replay, cb = () => {}) {
+  zlib.gzip(JSON.stringify(replay), (err, buf) => {
+    if (err) return cb(err);
+    fs.mkdir(dir, { recursive: true }, (mkErr) => {
+      if (mkErr) return cb(mkErr);
+      fs.writeFile(replayFile(dir, replay.id), buf, cb);
+    });
+  });
+}
+
+function loadReplay(dir, id) {
+  if (!REPLAY_ID_RE.test(String(id))) return null;
+  try {
+    const buf = fs.readFileSync(replayFile(dir, id));
+    return JSON.parse(zlib.gunzipSync(buf).toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+const summaryCache = new Map();
+
+function summarizeReplay(replay) {
+  return {
+    id: replay.id,
+    roomCode: replay.roomCode,
+    world: replay.world,
+    result: replay.result,
+    players: replay.playerOrder.map((pid) => ({
+      playerId: pid,
+      name: replay.players[pid]?.name ?? "",
+      hero: replay.players[pid]?.hero ?? null,
+    })),
+    ticks: replay.endTick - replay.startTick,
+    startedAt: replay.startedAt,
+    endedAt: replay.endedAt,
+  };
+}
+
+function listReplays(dir) {
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith(".json.gz"));
+  } catch {
+    return [];
+  }
+
+  const list = [];
+  for (const f of files) {
+    const id = f.slice(0, -".json.gz".length);
+    if (!summaryCache.has(id)) {
+      const replay = loadReplay(dir, id);
+      if (!replay) continue;
+      summaryCache.set(id, summarizeReplay(replay));
+    }
+    list.push(summaryCache.get(id));
+  }
+
+  return list.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+// ---------------- Playback ----------------
+function createReplayRoom(replay) {
+  return {
+    roomCode: replay.roomCode,
+    maxPlayers: replay.maxPlayers,
+    hostId: replay.hostId,
+    started: true,
+    world: replay.world,
+    level: replay.level,
+    world2BaseY: replay.world2BaseY,
+    viewportMode: replay.viewportMode ?? "legacy",
+    respawnMode: replay.respawnMode ?? null,
+    worldRuntime: {
+      plates: [],
+      gates: [],
+      checkpoints: [],
+      ...clone(replay.worldRuntime),
+    },
+    playerOrder: [...replay.playerOrder],
+    players: clone(replay.players),
+    gameState: clone(replay.gameState),
+    inputs: {},
+    inputQueues: {},
+    lastProcessedInput: {},
+    positionHistory: {},
+    rewindTicks: { ...replay.rewindTicks },
+    tick: replay.startTick,
+    respawnAtTick: replay.respawnAtTick,
+    roundStartTick: replay.startTick,
+    deaths: [],
+  };
+}
+
+function createReplayCursor(replay) {
+  return { room: createReplayRoom(replay), input: 0, event: 0 };
+}
+
+// Advances playback by one tick; returns false once the recording is over.
+function stepReplay(replay, cursor) {
+  const { room } = cursor;
+  if (room.tick >= replay.endTick) return false;
+
+  while (
+    cursor.event < replay.events.length &&
+    replay.events[cursor.event][0] <= room.tick
+  ) {
+    const [, type, ...args] = replay.events[cursor.event++];
+    EVENT_HANDLERS[type]?.(room, ...args);
+  }
+
+  const nextTick = room.tick + 1;
+  while (
+    cursor.input < replay.inputs.length &&
+    replay.inputs[cursor.input][0] <= nextTick
+  ) {
+    const [, slot, bits] = replay.inputs[cursor.input++];
+    room.inputs[replay.playerOrder[slot]] = bitsInput(bits);
+  }
+
+  stepRoom(room);
+  return true;
+}
+
+module.exports = {
+  REPLAY_ID_RE,
+  startRecording,
+  recordTick,
+  recordEvent,
+  finishRecording,
+  saveReplay,
+  loadReplay,
+  listReplays,
+  replayFile,
+  createReplayCursor,
+  stepReplay,
+};
@@ -0,0 +1,2292 @@
+// backend-server-fixed.js
+const express = require("express");
+const http = require("http");
+const cluster = require("cluster");
+const crypto = require("crypto");
+const path = require("path");
+const cors = require("cors");
+const { Server } = require("socket.io");
+const { loadLevels } = require("./levels");
+const { diffState } = require("./stateDelta");
+const {
+  TICK_RATE,
+  FIXED_STEP_MS,
+  LOOP_INTERVAL_MS,
+  isLateTick,
+  WORLD2_BASE_Y,
+  VIEWPORT_MODES,
+  clamp,
+  ensurePlayerState,
+  levelDataPayload,
+  buildStateSnapshot,
+  playerIndexOf,
+  createRoomState,
+  selectRoomLevel,
+  startRound,
+  addRoomPlayer,
+  removePlayerState,
+  serializeRoom,
+  restoreRoom,
+  parseInputPayload,
+  queuePlayerInput,
+  stepRoom,
+  normalizeWorld2BaseYFromPayload,
+  syncRoomWorld2Height,
+  deathsByCause,
+  setPlayerRewind,
+  resetRoundAfterDeath,
+  runTicks,
+} = require("./simulation");
+const {
+  REPLAY_ID_RE,
+  startRecording,
+  recordTick,
+  recordEvent,
+  finishRecording,
+  saveReplay,
+  loadReplay,
+  listReplays,
+  replayFile,
+  createReplayCursor,
+  stepReplay,
+} = require("./replays");
+const { createRoomStore } = require("./store");
+const {
+  PING_TTL_MS,
+  sanitizeChatText,
+  appendChatMessage,
+  createRateLimiter,
+  parsePing,
+} = require("./chat");
+const { createEventGuard } = require("./guard");
+const { HEROES, isHeroId } = require("./heroes");
+const { createRunStore, rankRun } = require("./leaderboards");
+const { createMetrics } = require("./metrics");
+const { createLogger } = require("./logger");
+const { createShutdown } = require("./shutdown");
+const {
+  createCampaign,
+  currentCampaignLevel,
+  nextCampaignLevel,
+  recordLevelResult,
+  cancelLevelResult,
+  advanceCampaign,
+  campaignProgress,
+} = require("./campaign");
+const {
+  createLocalBus,
+  createProcessBus,
+  createRoomDirectory,
+} = require("./cluster");
+const {
+  createSessionToken,
+  verifySessionToken,
+  newPlayerId,
+} = require("./session");
+
+const app = express();
+
+const PORT = Number(process.env.PORT || 4000);
+const NODE_ENV = process.env.NODE_ENV || "development";
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+const DISCONNECT_GRACE_MS = Number(process.env.DISCONNECT_GRACE_MS || 15000);
+// A slow host catches up with at most MAX_SUBSTEPS fixed steps per callback.
+const MAX_SUBSTEPS = Number(process.env.MAX_SUBSTEPS || 5);
+const LEVELS_DIR =
+  process.env.LEVELS_DIR || path.join(__dirname, "..", "levels");
+const REPLAY_DIR =
+  process.env.REPLAY_DIR || path.join(__dirname, "..", "replays");
+// Rooms are snapshotted to ROOM_STORE ("file", "memory" or "none") so a
+// restart can pick them up again.
+const ROOM_STORE = process.env.ROOM_STORE || "file";
+const STORE_DIR = process.env.STORE_DIR || path.join(__dirname, "..", "data");
+const SNAPSHOT_INTERVAL_MS = Number(process.env.SNAPSHOT_INTERVAL_MS || 5000);
+// gameState keyframes go out at least this often; deltas fill the gaps.
+const KEYFRAME_INTERVAL = Number(
+  process.env.KEYFRAME_INTERVAL || TICK_RATE * 2,
+);
+// A client whose stateAck trails by more than this gets a fresh keyframe.
+const STATE_RESYNC_GAP = Number(process.env.STATE_RESYNC_GAP || TICK_RATE);
+// Generated room codes leave out look-alikes such as 0/O and 1/I.
+const ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const ROOM_CODE_LENGTH = Number(process.env.ROOM_CODE_LENGTH || 5);
+const MAX_SPECTATORS = Number(process.env.MAX_SPECTATORS || 32);
+// "fixed" or "legacy" forces every new room into that viewport mode; "auto"
+// lets rooms opt into "fixed" with createRoom's viewportMode while older
+// frontends keep getting legacy rooms.
+const WORLD2_VIEWPORT_MODE = ["auto", ...VIEWPORT_MODES].includes(
+  process.env.WORLD2_VIEWPORT_MODE,
+)
+  ? process.env.WORLD2_VIEWPORT_MODE
+  : "auto";
+// In legacy rooms only the host's viewport moves world 2's base line, at
+// most this often.
+const WORLD2_RESIZE_INTERVAL_MS = Number(
+  process.env.WORLD2_RESIZE_INTERVAL_MS || 1000,
+);
+// Campaign rooms hold a won level this long before moving on.
+const CAMPAIGN_COUNTDOWN_MS = Number(process.env.CAMPAIGN_COUNTDOWN_MS || 5000);
+// Key pickups give a lagging player the benefit of the doubt for up to this
+// much of their one-way latency, measured from stateAck; 0 turns it off.
+const PICKUP_REWIND_MS = Number(process.env.PICKUP_REWIND_MS ?? 200);
+// Bearer token for the /admin API; without one the API is switched off.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+const ADMIN_TIMEOUT_MS = Number(process.env.ADMIN_TIMEOUT_MS || 2000);
+// On SIGTERM/SIGINT clients get SHUTDOWN_COUNTDOWN_MS of warning before the
+// rooms stop; whatever is still open at SHUTDOWN_DEADLINE_MS is cut off.
+// A node already draining waits for its rooms to close instead, stopping
+// at the deadline at the latest. SHUTDOWN_SNAPSHOT=false leaves no rooms
+// behind for the next start.
+const SHUTDOWN_COUNTDOWN_MS = Number(
+  process.env.SHUTDOWN_COUNTDOWN_MS ?? 10000,
+);
+const SHUTDOWN_DEADLINE_MS = Number(process.env.SHUTDOWN_DEADLINE_MS || 30000);
+const SHUTDOWN_SNAPSHOT = process.env.SHUTDOWN_SNAPSHOT !== "false";
+// Every server process is a node; the cluster primary hands workers their id.
+const NODE_ID = process.env.NODE_ID || "main";
+
+const log = createLogger({ context: { node: NODE_ID } });
+const roomLog = (room) => log.child({ roomCode: room.roomCode });
+const socketLog = (socket) =>
+  log.child({
+    socketId: socket.id,
+    roomCode: socket.data.roomCode,
+    playerId: socket.data.playerId,
+  });
+
+// Signs session tokens; without a fixed secret a restart ends every session.
+const SESSION_SECRET =
+  process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.SESSION_SECRET) {
+  log.warn("SESSION_SECRET not set; sessions end on restart");
+}
+
+// ---------------- CORS ----------------
+const normalizeOrigin = (u) => (u ? String(u).trim().replace(/\/+$/, "") : u);
+
+const clientOriginsFromEnv = String(CLIENT_URL)
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+const allowedOrigins = [
+  "http://localhost:3000",
+  "http://localhost:3001",
+  "http://localhost:5173",
+  ...clientOriginsFromEnv,
+]
+  .map(normalizeOrigin)
+  .filter(Boolean);
+
+function isOriginAllowed(origin) {
+  if (!origin) return true;
+  const o = normalizeOrigin(origin);
+  if (NODE_ENV === "development") return true;
+  if (allowedOrigins.includes(o)) return true;
+  if (o.endsWith(".vercel.app")) return true;
+  return false;
+}
+
+function corsOriginDelegate(origin, cb) {
+  if (isOriginAllowed(origin)) return cb(null, true);
+  log.warn("cors origin blocked", { origin });
+  return cb(new Error("Not allowed by CORS"));
+}
+
+app.use(
+  cors({
+    origin: corsOriginDelegate,
+    credentials: true,
+  }),
+);
+app.use(express.json());
+
+// ---------------- In-memory state ----------------
+const guard = createEventGuard();
+// Socket.IO room of the sockets watching the room browser.
+const ROOM_BROWSER = "roomBrowser";
+// Spectators get every room broadcast from a channel of their own, so they
+// never count as members of the room itself.
+const spectatorChannel = (roomCode) => `${roomCode}:spectators`;
+const roomAudience = (roomCode) =>
+  io.to([roomCode, spectatorChannel(roomCode)]);
+const rooms = new Map();
+const playerToSocket = new Map();
+// When each player's current connection began; host migration prefers the
+// longest-connected player.
+const connectedSince = new Map();
+// Chat messages and pings share one limiter per player.
+const chatLimiter = createRateLimiter();
+// `${roomCode}:${playerId}` -> the player's live ping; a new one replaces it.
+const activePings = new Map();
+let nextPingId = 1;
+const pendingDisconnects = new Map();
+
+// ---------------- Health ----------------
+// Answers 503 once shutdown starts so load balancers stop sending traffic.
+app.get("/health", (req, res) => {
+  res.status(shutdown.started() ? 503 : 200).json({
+    status: shutdown.started() ? "shutting_down" : "ok",
+    env: NODE_ENV,
+    uptime: process.uptime(),
+    timestamp: Date.now(),
+    node: NODE_ID,
+    draining,
+    rooms: rooms.size,
+    clusterRooms: directory.size(),
+    players: playerToSocket.size,
+    spectators: [...rooms.values()].reduce(
+      (n, room) => n + Object.keys(room.spectators).length,
+      0,
+    ),
+    events: guard.stats(),
+    tickRate: TICK_RATE,
+    allowedOrigins,
+  });
+});
+
+app.get("/", (req, res) => res.json({ message: "Game Server Running" }));
+
+app.get("/heroes", (req, res) => {
+  res.status(200).json({ heroes: HEROES });
+});
+
+// ---------------- Room browser ----------------
+app.get("/rooms", (req, res) => {
+  res.status(200).json({ rooms: directory.list() });
+});
+
+// ---------------- Sessions ----------------
+// A still-valid token is refreshed for the same player; anything else starts
+// a new one.
+function issueSession(token) {
+  const playerId =
+    verifySessionToken(token, SESSION_SECRET)?.playerId ?? newPlayerId();
+  return { playerId, token: createSessionToken(playerId, SESSION_SECRET) };
+}
+
+app.post("/session", (req, res) => {
+  res.status(200).json(issueSession(req.body?.token));
+});
+
+// ---------------- Replays ----------------
+app.get("/replays", (req, res) => {
+  res.status(200).json({ replays: listReplays(REPLAY_DIR) });
+});
+
+app.get("/replays/:id", (req, res) => {
+  const { id } = req.params;
+  if (!REPLAY_ID_RE.test(id)) {
+    res.status(404).json({ error: "Replay not found" });
+    return;
+  }
+
+  res.download(replayFile(REPLAY_DIR, id), `${id}.json.gz`, (err) => {
+    if (err && !res.headersSent) {
+      res.status(404).json({ error: "Replay not found" });
+    }
+  });
+});
+
+// ---------------- Metrics ----------------
+const metrics = createMetrics();
+const tickDuration = metrics.histogram(
+  "game_tick_duration_seconds",
+  "Time spent in one stepRoom call",
+  [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.02, FIXED_STEP_MS / 1000, 0.05, 0.1],
+);
+const tickOverruns = metrics.counter(
+  "game_tick_overruns_total",
+  "Loop callbacks that ran a full step late: catchup ran extra steps, dropped gave up on the backlog",
+);
+const stateBytes = metrics.histogram(
+  "game_state_broadcast_bytes",
+  "Size of each gameState keyframe or delta broadcast",
+  [256, 512, 1024, 2048, 4096, 8192, 16384, 65536],
+);
+const socketEvents = metrics.counter(
+  "game_socket_events_total",
+  "Inbound socket events by result",
+);
+const roomEventsTotal = metrics.counter(
+  "game_room_events_total",
+  "Room lifecycle events",
+);
+const deathsTotal = metrics.counter("game_deaths_total", "Deaths by cause");
+metrics.gauge("game_rooms", "Rooms owned by this node", () => rooms.size);
+metrics.gauge(
+  "game_players",
+  "Players bound to this node",
+  () => playerToSocket.size,
+);
+metrics.gauge("game_sockets", "Connected sockets by transport", () => {
+  const counts = {};
+  for (const socket of io.of("/").sockets.values()) {
+    const transport = socket.conn.transport.name;
+    counts[transport] = (counts[transport] ?? 0) + 1;
+  }
+  return Object.entries(counts).map(([transport, value]) => ({
+    labels: { transport },
+    value,
+  }));
+});
+
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+// ---------------- Leaderboards ----------------
+const runStore = createRunStore(STORE_DIR);
+
+app.get("/leaderboards/:world", (req, res) => {
+  const world = LEVEL_NAMES.get(req.params.world.toLowerCase());
+  if (world === undefined) {
+    res.status(404).json({ error: "World not found" });
+    return;
+  }
+  runStore.refresh((err) => {
+    if (err) {
+      log.error("leaderboard read error", { err });
+      res.status(500).json({ error: "Server error" });
+      return;
+    }
+    res.status(200).json({ world, teams: runStore.leaderboard(world) });
+  });
+});
+
+const server = http.createServer(app);
+
+const io = new Server(server, {
+  cors: {
+    origin: corsOriginDelegate,
+    credentials: true,
+    methods: ["GET", "POST"],
+  },
+  pingTimeout: 60000,
+  pingInterval: 25000,
+  transports: ["websocket", "polling"],
+});
+
+// ---------------- Cluster ----------------
+const bus = cluster.isWorker ? createProcessBus() : createLocalBus();
+const directory = createRoomDirectory({
+  bus,
+  nodeId: NODE_ID,
+  // Another node created a room with the same code at the same moment and
+  // kept it; this node's copy goes.
+  onLost(roomCode) {
+    const room = rooms.get(roomCode);
+    if (!room) return;
+    roomLog(room).warn("room code taken by another node");
+    endRoom(room, "Room code is already in use, please create a new room");
+  },
+});
+
+if (cluster.isWorker) {
+  const { createAdapter } = require("@socket.io/cluster-adapter");
+  io.adapter(createAdapter());
+}
+
+// Sockets from other nodes whose event is being handled here right now.
+const proxiedSockets = new Map();
+
+function setSocketData(socketId, patch) {
+  const s = io.sockets.sockets.get(socketId) || proxiedSockets.get(socketId);
+  if (s) {
+    Object.assign(s.data, patch);
+    return;
+  }
+  bus.publish("socketData", { socketId, patch });
+}
+
+bus.subscribe("socketData", ({ socketId, patch }) => {
+  const s = io.sockets.sockets.get(socketId);
+  if (s) Object.assign(s.data, patch);
+});
+
+// ---------------- Worlds ----------------
+const {
+  levels: LEVELS,
+  names: LEVEL_NAMES,
+  report: levelReport,
+} = loadLevels(LEVELS_DIR);
+
+if (levelReport.length) {
+  log.error("rejected level files", { dir: LEVELS_DIR, report: levelReport });
+}
+if (LEVELS.size === 0) {
+  log.error("no valid levels found", { dir: LEVELS_DIR });
+  process.exit(1);
+}
+
+const DEFAULT_WORLD = Math.min(...LEVELS.keys());
+
+function getLevel(worldId) {
+  return LEVELS.get(Number(worldId)) || LEVELS.get(DEFAULT_WORLD);
+}
+
+// CAMPAIGN_LEVELS lists world ids or names in play order, e.g. "1,2";
+// unknown entries are skipped and the default is every world by id.
+const CAMPAIGN_LEVELS = (() => {
+  const listed = String(process.env.CAMPAIGN_LEVELS || "")
+    .split(",")
+    .map((s) => LEVEL_NAMES.get(s.toLowerCase().trim()))
+    .filter((id) => id !== undefined);
+  return listed.length ? listed : [...LEVELS.keys()].sort((a, b) => a - b);
+})();
+
+// ---------------- Helpers ----------------
+const sanitizeName = (v) =>
+  String(v ?? "")
+    .trim()
+    .slice(0, 20);
+
+function clearPendingDisconnect(playerId) {
+  const t = pendingDisconnects.get(playerId);
+  if (t) {
+    clearTimeout(t);
+    pendingDisconnects.delete(playerId);
+  }
+}
+
+function bindPlayerSocket(playerId, socketId) {
+  if (!playerToSocket.has(playerId)) {
+    playerToSocket.set(playerId, new Set());
+    connectedSince.set(playerId, Date.now());
+  }
+  playerToSocket.get(playerId).add(socketId);
+}
+
+function unbindPlayer(playerId) {
+  playerToSocket.delete(playerId);
+  connectedSince.delete(playerId);
+}
+
+function schedulePlayerRemoval(playerId, roomCode) {
+  const timer = setTimeout(() => {
+    pendingDisconnects.delete(playerId);
+
+    const room = rooms.get(roomCode);
+    if (!room) return;
+    if (playerToSocket.has(playerId)) return;
+    if (!room.players[playerId]) return;
+
+    removePlayerFromRoom(room, playerId);
+  }, DISCONNECT_GRACE_MS);
+
+  pendingDisconnects.set(playerId, timer);
+}
+
+// Drops a player for good; the last one out closes the room.
+function removePlayerFromRoom(room, playerId) {
+  const { roomCode } = room;
+
+  if (room.recording) {
+    recordEvent(room.recording, room, "leave", playerId);
+  }
+  removePlayerState(room, playerId);
+  chatLimiter.forget(playerId);
+  clearPing(roomCode, playerId);
+
+  if (Object.keys(room.players).length === 0) {
+    finishRoomRecording(room, "abandoned");
+    closeRoom(room);
+    return;
+  }
+
+  unfollowPlayer(room, playerId);
+
+  if (room.hostId === playerId) changeHost(room, nextHostId(room), "left");
+
+  emitRoomState(roomCode);
+  emitGameState(roomCode);
+}
+
+// Players still inside their disconnect grace window only get the room when
+// nobody else is connected.
+function nextHostId(room) {
+  const connected = room.playerOrder
+    .filter((pid) => connectedSince.has(pid))
+    .sort((a, b) => connectedSince.get(a) - connectedSince.get(b));
+  return connected[0] ?? room.playerOrder[0];
+}
+
+function clearPing(roomCode, playerId) {
+  const key = `${roomCode}:${playerId}`;
+  const ping = activePings.get(key);
+  if (!ping) return;
+  clearTimeout(ping.timer);
+  activePings.delete(key);
+  roomAudience(roomCode).emit("pingExpired", { id: ping.id });
+}
+
+function changeHost(room, hostId, reason) {
+  const previousHostId = room.hostId;
+  room.hostId = hostId;
+  roomLog(room).info("host changed", { hostId, previousHostId, reason });
+  roomAudience(room.roomCode).emit("hostChanged", {
+    roomCode: room.roomCode,
+    hostId,
+    previousHostId,
+    reason,
+  });
+}
+
+function closeRoom(room) {
+  const { roomCode } = room;
+  stopRoomLoop(roomCode);
+  rooms.delete(roomCode);
+  roomEventsTotal.inc({ event: "deleted" });
+  roomLog(room).info("room closed");
+  directory.release(roomCode);
+  if (room.visibility === "public") broadcastRoomList();
+  if (!rooms.size) shutdown.roomsEmpty();
+
+  const channel = spectatorChannel(roomCode);
+  io.to(channel).emit("spectateEnded", { message: "Room closed" });
+  io.in(channel).socketsLeave(channel);
+  for (const socketId of Object.keys(room.spectators)) {
+    setSocketData(socketId, { roomCode: null, spectator: false });
+  }
+}
+
+// Closes a room with everyone still in it.
+function endRoom(room, message) {
+  finishRoomRecording(room, "ended");
+  roomAudience(room.roomCode).emit("roomEnded", {
+    roomCode: room.roomCode,
+    message,
+  });
+  for (const pid of Object.keys(room.players)) {
+    disconnectPlayerSocketsOnly(pid, room.roomCode);
+    clearPendingDisconnect(pid);
+  }
+  closeRoom(room);
+}
+
+function removeSpectator(room, socketId) {
+  if (!room.spectators[socketId]) return;
+  delete room.spectators[socketId];
+  io.in(socketId).socketsLeave(spectatorChannel(room.roomCode));
+}
+
+function unfollowPlayer(room, playerId) {
+  for (const [socketId, s] of Object.entries(room.spectators)) {
+    if (s.follow !== playerId) continue;
+    s.follow = null;
+    io.to(socketId).emit("followChanged", { playerId: null });
+  }
+}
+
+function generateRoomCode() {
+  for (;;) {
+    let code = "";
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code += ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)];
+    }
+    if (!rooms.has(code) && !directory.has(code)) return code;
+  }
+}
+
+// What the room browser shows; private rooms are never listed.
+function roomSummary(room) {
+  if (room.visibility !== "public") return null;
+  return {
+    roomCode: room.roomCode,
+    world: room.world,
+    players: Object.keys(room.players).length,
+    maxPlayers: room.maxPlayers,
+    started: room.started,
+    locked: room.locked,
+    mode: room.mode,
+  };
+}
+
+function broadcastRoomList() {
+  io.to(ROOM_BROWSER).emit("roomList", { rooms: directory.list() });
+}
+
+function publishRoomSummary(room) {
+  const summary = roomSummary(room);
+  const json = JSON.stringify(summary);
+  // Rooms are claimed without a summary, so a private room never publishes.
+  if ((room.listedSummary ?? "null") === json) return;
+  room.listedSummary = json;
+
+  directory.update(room.roomCode, summary);
+  broadcastRoomList();
+}
+
+function allPicked(room) {
+  return Object.values(room.players).every((p) => p.hero);
+}
+
+function allReady(room) {
+  return Object.values(room.players).every((p) => p.ready);
+}
+
+function disconnectPlayerSocketsOnly(playerId, roomCode) {
+  const sockets = playerToSocket.get(playerId);
+  if (!sockets) return;
+
+  sockets.forEach((socketId) => {
+    io.in(socketId).socketsLeave(roomCode);
+    setSocketData(socketId, { roomCode: null, playerId: null });
+  });
+
+  unbindPlayer(playerId);
+}
+
+function emitRoomState(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+
+  roomAudience(roomCode).emit("roomState", {
+    roomCode: room.roomCode,
+    maxPlayers: room.maxPlayers,
+    hostId: room.hostId,
+    visibility: room.visibility,
+    locked: room.locked,
+    started: room.started,
+    world: room.world,
+    respawnMode: room.respawnMode,
+    mode: room.mode,
+    campaign: campaignProgress(room.campaign),
+    players: room.players,
+    spectators: Object.keys(room.spectators).length,
+  });
+  publishRoomSummary(room);
+}
+
+function emitLevelData(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+  roomAudience(roomCode).emit("levelData", levelDataPayload(room));
+}
+
+function emitGameState(roomCode, { keyframe = false } = {}) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+
+  const snapshot = buildStateSnapshot(room);
+  const prev = room.lastSentState;
+  const seq = (prev?.seq ?? 0) + 1;
+  room.lastSentState = { seq, snapshot };
+  room.stateSentAt ??= new Map();
+  room.stateSentAt.set(seq, Date.now());
+  room.stateSentAt.delete(seq - STATE_RESYNC_GAP);
+
+  const sendKeyframe =
+    keyframe ||
+    room.forceKeyframe ||
+    !room.started ||
+    !prev ||
+    seq % KEYFRAME_INTERVAL === 0;
+  room.forceKeyframe = false;
+
+  if (sendKeyframe) {
+    const payload = { keyframe: true, seq, ...snapshot };
+    stateBytes.observe(Buffer.byteLength(JSON.stringify(payload)), {
+      type: "keyframe",
+    });
+    roomAudience(roomCode).emit("gameState", payload);
+    return;
+  }
+
+  const { changes, removed } = diffState(prev.snapshot, snapshot);
+  const payload = { seq, baseSeq: prev.seq, changes, removed };
+  stateBytes.observe(Buffer.byteLength(JSON.stringify(payload)), {
+    type: "delta",
+  });
+  roomAudience(roomCode).emit("gameStateDelta", payload);
+}
+
+// Round trip from sending state `seq` to its ack, smoothed per player, sets
+// how far back that player's pickups are checked.
+function measureLatency(room, playerId, seq) {
+  const sentAt = room.stateSentAt?.get(seq);
+  if (!playerId || !room.players[playerId] || sentAt === undefined) return;
+
+  room.latencyMs ??= {};
+  const rtt = Date.now() - sentAt;
+  const prev = room.latencyMs[playerId];
+  const latency = prev === undefined ? rtt : prev * 0.8 + rtt * 0.2;
+  room.latencyMs[playerId] = latency;
+
+  const ticks = Math.round(
+    Math.min(latency / 2, PICKUP_REWIND_MS) / FIXED_STEP_MS,
+  );
+  if ((room.rewindTicks[playerId] ?? 0) === ticks) return;
+  setPlayerRewind(room, playerId, ticks);
+  if (room.recording) {
+    recordEvent(room.recording, room, "rewind", playerId, ticks);
+  }
+}
+
+function emitKeyframeTo(socket, room) {
+  if (!room.lastSentState) return;
+  const { seq, snapshot } = room.lastSentState;
+  socket.emit("gameState", { keyframe: true, seq, ...snapshot });
+}
+
+function tickRoom(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room || !room.started) return;
+
+  const now = Date.now();
+  const elapsedMs = now - room.lastStepAt;
+  room.accumulatorMs += elapsedMs;
+  room.lastStepAt = now;
+
+  // A won level is held as it ended until the room moves on.
+  if (room.gameState.gameStatus === "won") {
+    room.accumulatorMs = 0;
+    if (room.campaign?.advanceAt && now >= room.campaign.advanceAt) {
+      continueCampaign(room);
+    }
+    return;
+  }
+
+  let steps = 0;
+  while (room.accumulatorMs >= FIXED_STEP_MS && steps < MAX_SUBSTEPS) {
+    const deaths = room.deaths.length;
+    const startedAt = process.hrtime.bigint();
+    stepRoom(room);
+    tickDuration.observe(Number(process.hrtime.bigint() - startedAt) / 1e9);
+    for (const d of room.deaths.slice(deaths)) {
+      deathsTotal.inc({ cause: d.cause });
+      roomLog(room).info("player died", d);
+    }
+    if (room.recording) recordTick(room.recording, room);
+    room.accumulatorMs -= FIXED_STEP_MS;
+    steps += 1;
+    if (room.gameState.gameStatus === "won") break;
+  }
+
+  if (steps > 1 && isLateTick(elapsedMs)) {
+    tickOverruns.inc({ kind: "catchup" });
+  }
+  // Too far behind to catch up: drop the backlog rather than spiral.
+  if (room.accumulatorMs >= FIXED_STEP_MS) {
+    if (room.gameState.gameStatus !== "won") {
+      tickOverruns.inc({ kind: "dropped" });
+    }
+    room.accumulatorMs = 0;
+  }
+
+  if (steps > 0) emitGameState(roomCode);
+
+  if (room.gameState.gameStatus === "won") completeLevel(room);
+}
+
+function startRoomLoop(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+  if (room.loopHandle) return;
+
+  room.lastStepAt = Date.now();
+  room.accumulatorMs = 0;
+  room.loopHandle = setInterval(() => tickRoom(roomCode), LOOP_INTERVAL_MS);
+}
+
+function finishRoomRecording(room, result) {
+  if (!room.recording) return;
+  const replay = finishRecording(room.recording, result);
+  room.recording = null;
+
+  saveReplay(REPLAY_DIR, replay, (err) => {
+    if (err) roomLog(room).error("saveReplay error", { err });
+  });
+}
+
+// ---------------- Rounds ----------------
+function beginRound(room) {
+  startRound(room);
+  roomEventsTotal.inc({ event: "started" });
+  roomLog(room).info("game started", {
+    world: room.world,
+    players: room.playerOrder.length,
+  });
+  room.recording = startRecording(room);
+
+  roomAudience(room.roomCode).emit("startGame");
+  emitRoomState(room.roomCode);
+  emitLevelData(room.roomCode);
+  emitGameState(room.roomCode, { keyframe: true });
+  startRoomLoop(room.roomCode);
+}
+
+function recordRun(room) {
+  const players = room.playerOrder.filter((pid) => room.players[pid]);
+  const ticks = room.tick - room.roundStartTick;
+  const run = {
+    world: room.world,
+    roomCode: room.roomCode,
+    mode: room.mode,
+    teamSize: players.length,
+    players: players.map((pid) => ({
+      playerId: pid,
+      name: room.players[pid].name,
+      hero: room.players[pid].hero,
+    })),
+    ticks,
+    timeMs: Math.round(ticks * FIXED_STEP_MS),
+    deaths: room.deaths.length,
+    deathsByCause: deathsByCause(room),
+    replayId: room.recording?.id ?? null,
+    finishedAt: Date.now(),
+  };
+
+  // Ranked once the file has caught up, off the tick, so runs just
+  // finished on other workers count too.
+  const deathLog = room.deaths;
+  runStore.append(run, (writeErr) => {
+    if (writeErr) {
+      roomLog(room).error("leaderboard write error", { err: writeErr });
+    }
+    runStore.refresh((readErr) => {
+      if (readErr) {
+        roomLog(room).error("leaderboard read error", { err: readErr });
+      }
+      roomAudience(room.roomCode).emit("runComplete", {
+        ...run,
+        deathLog,
+        rank: readErr ? null : rankRun(runStore.runs(), run),
+      });
+    });
+  });
+  return run;
+}
+
+function completeLevel(room) {
+  roomEventsTotal.inc({ event: "won" });
+  const { ticks, deaths } = recordRun(room);
+  roomLog(room).info("room won", { world: room.world, ticks, deaths });
+  finishRoomRecording(room, "won");
+
+  const payload = { world: room.world, ticks };
+  if (room.campaign) {
+    recordLevelResult(
+      room.campaign,
+      { world: room.world, ticks },
+      Date.now() + CAMPAIGN_COUNTDOWN_MS,
+    );
+    payload.nextWorld = nextCampaignLevel(room.campaign);
+    payload.countdownMs = CAMPAIGN_COUNTDOWN_MS;
+    payload.campaign = campaignProgress(room.campaign);
+  }
+
+  roomAudience(room.roomCode).emit("levelComplete", payload);
+  emitRoomState(room.roomCode);
+}
+
+function continueCampaign(room) {
+  if (!advanceCampaign(room.campaign)) {
+    roomAudience(room.roomCode).emit("campaignComplete", {
+      completed: room.campaign.results,
+      totalTicks: room.campaign.totalTicks,
+    });
+    returnRoomToLobby(room);
+    return;
+  }
+
+  selectRoomLevel(room, getLevel(currentCampaignLevel(room.campaign)));
+  beginRound(room);
+}
+
+function returnRoomToLobby(room) {
+  stopRoomLoop(room.roomCode);
+  finishRoomRecording(room, "lobby");
+
+  room.started = false;
+  if (room.campaign) room.campaign = createCampaign(room.campaign.levels);
+  selectRoomLevel(
+    room,
+    room.campaign ? getLevel(currentCampaignLevel(room.campaign)) : room.level,
+  );
+  for (const p of Object.values(room.players)) p.ready = false;
+
+  roomAudience(room.roomCode).emit("returnedToLobby", {
+    roomCode: room.roomCode,
+  });
+  emitRoomState(room.roomCode);
+  emitLevelData(room.roomCode);
+  emitGameState(room.roomCode, { keyframe: true });
+}
+
+function stopRoomLoop(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room || !room.loopHandle) return;
+  clearInterval(room.loopHandle);
+  room.loopHandle = null;
+}
+
+function normalizeWorldValue(value) {
+  const s = String(value ?? "")
+    .toLowerCase()
+    .trim();
+  return LEVEL_NAMES.get(s) ?? DEFAULT_WORLD;
+}
+
+function applyWorldSelection(roomCode, playerId, requestedWorld) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+  if (room.hostId !== playerId || room.started) return;
+  // Campaign rooms play their worlds in order.
+  if (room.campaign) return;
+
+  selectRoomLevel(room, getLevel(normalizeWorldValue(requestedWorld)));
+
+  emitRoomState(roomCode);
+  emitLevelData(roomCode);
+  emitGameState(roomCode);
+}
+
+// ---------------- Moderation ----------------
+// Room for a host-only action against another player, or null after
+// emitting `deniedEvent`.
+function moderatedRoom(socket, target, deniedEvent) {
+  const { roomCode, playerId } = socket.data;
+  if (!roomCode || !playerId) return null;
+
+  const room = rooms.get(roomCode);
+  if (!room) return null;
+
+  let message = null;
+  if (room.hostId !== playerId) message = "Only host can do that";
+  else if (target === playerId) message = "Cannot target yourself";
+  else if (!room.players[target]) message = "Player not in room";
+
+  if (message) {
+    socket.emit(deniedEvent, { message });
+    return null;
+  }
+  return room;
+}
+
+function expelPlayer(room, playerId, message) {
+  for (const socketId of playerToSocket.get(playerId) ?? []) {
+    io.to(socketId).emit("kicked", { roomCode: room.roomCode, message });
+  }
+  disconnectPlayerSocketsOnly(playerId, room.roomCode);
+  clearPendingDisconnect(playerId);
+  removePlayerFromRoom(room, playerId);
+}
+
+// ---------------- Room events ----------------
+// Handlers for events that act on the socket's room. They only touch the
+// socket through id/data/emit/join/leave so the node that owns the room can
+// run them for a socket connected to another node (see routeRoomEvent).
+const roomEvents = {
+  setWorld(socket, { world } = {}) {
+    try {
+      const { roomCode, playerId } = socket.data;
+      if (!roomCode || !playerId) return;
+      applyWorldSelection(roomCode, playerId, world);
+    } catch (e) {
+      socketLog(socket).error("setWorld error", { err: e });
+    }
+  },
+
+  // Alias for frontend that emits setLevel with map1/map2
+  setLevel(socket, { level, world } = {}) {
+    try {
+      const { roomCode, playerId } = socket.data;
+      if (!roomCode || !playerId) return;
+      applyWorldSelection(roomCode, playerId, level ?? world);
+    } catch (e) {
+      socketLog(socket).error("setLevel error", { err: e });
+    }
+  },
+
+  setRespawnMode(socket, { respawnMode } = {}) {
+    try {
+      const { roomCode, playerId } = socket.data;
+      if (!roomCode || !playerId) return;
+
+      const room = rooms.get(roomCode);
+      if (!room) return;
+
+      if (room.hostId !== playerId) {
+        socket.emit("respawnModeDenied", { message: "Only host can do that" });
+        return;
+      }
+      if (room.started) {
+        socket.emit("respawnModeDenied", { message: "Round already running" });
+        return;
+      }
+
+      room.respawnMode = respawnMode === "level" ? null : respawnMode;
+      emitRoomState(roomCode);
+      emitLevelData(roomCode);
+    } catch (e) {
+      socketLog(socket).error("setRespawnMode error", { err: e });
+    }
+  },
+
+  joinRoom(
+    socket,
+    { roomCode, playerId = socket.data.sessionPlayerId, name } = {},
+  ) {
+    try {
+      if (!roomCode || !playerId) {
+        socket.emit("joinDenied", { message: "Invalid parameters" });
+        return;
+      }
+
+      if (playerId !== socket.data.sessionPlayerId) {
+        socket.emit("joinDenied", { message: "Player id does not match" });
+        return;
+      }
+
+      const room = rooms.get(roomCode);
+      if (!room) {
+        socket.emit("joinDenied", { message: "Room not found" });
+        return;
+      }
+
+      if (socket.data.spectator && socket.data.roomCode !== roomCode) {
+        socket.emit("joinDenied", { message: "Stop spectating first" });
+        return;
+      }
+
+      if (room.bans.includes(playerId)) {
+        socket.emit("joinDenied", { message: "Banned from this room" });
+        return;
+      }
+
+      if (room.locked && !room.players[playerId]) {
+        socket.emit("joinDenied", { message: "Room is locked" });
+        return;
+      }
+
+      clearPendingDisconnect(playerId);
+
+      if (room.started && !room.players[playerId]) {
+        socket.emit("joinDenied", { message: "Game already started" });
+        return;
+      }
+
+      if (room.players[playerId]) {
+        disconnectPlayerSocketsOnly(playerId, roomCode);
+        // A reconnecting client restarts its input sequence from scratch.
+        delete room.inputQueues[playerId];
+        delete room.lastProcessedInput[playerId];
+      }
+
+      const count = Object.keys(room.players).length;
+      if (!room.players[playerId] && count >= room.maxPlayers) {
+        socket.emit("joinDenied", { message: "Room full" });
+        return;
+      }
+
+      const cleanName = sanitizeName(name);
+
+      if (!room.players[playerId]) {
+        addRoomPlayer(room, playerId, cleanName);
+      } else if (cleanName) {
+        room.players[playerId].name = cleanName;
+      }
+
+      if (socket.data.spectator) {
+        removeSpectator(room, socket.id);
+        socket.data.spectator = false;
+      }
+
+      socket.join(roomCode);
+      socket.data.roomCode = roomCode;
+      socket.data.playerId = playerId;
+
+      bindPlayerSocket(playerId, socket.id);
+
+      emitRoomState(roomCode);
+      socket.emit("levelData", levelDataPayload(room));
+      emitGameState(roomCode, { keyframe: true });
+
+      socket.emit("joinSuccess", {
+        roomCode,
+        playerId,
+        playerIndex: playerIndexOf(room, playerId),
+        chat: room.chat,
+        message: "Successfully joined room",
+      });
+    } catch (e) {
+      socketLog(socket).error("joinRoom error", { err: e });
+      socket.emit("joinDenied", { message: "Server error" });
+    }
+  },
+
+  // Spectators keep the room's code in socket.data but no playerId, so every
+  // player-only event ignores them.
+  spectateRoom(socket, { roomCode, follow = null } = {}) {
+    try {
+      const room = roomCode && rooms.get(roomCode);
+      if (!room) {
+        socket.emit("spectateDenied", { message: "Room not found" });
+        return;
+      }
+
+      if (socket.data.roomCode && socket.data.roomCode !== roomCode) {
+        socket.emit("spectateDenied", { message: "Already in another room" });
+        return;
+      }
+      if (socket.data.playerId) {
+        socket.emit("spectateDenied", { message: "Already playing" });
+        return;
+      }
+      if (room.bans.includes(socket.data.sessionPlayerId)) {
+        socket.emit("spectateDenied", { message: "Banned from this room" });
+        return;
+      }
+      if (
+        !room.spectators[socket.id] &&
+        Object.keys(room.spectators).length >= MAX_SPECTATORS
+      ) {
+        socket.emit("spectateDenied", { message: "Too many spectators" });
+        return;
+      }
+
+      room.spectators[socket.id] = {
+        follow: room.players[follow] ? follow : null,
+      };
+      socket.join(spectatorChannel(roomCode));
+      socket.data.roomCode = roomCode;
+      socket.data.spectator = true;
+
+      emitRoomState(roomCode);
+      socket.emit("levelData", levelDataPayload(room));
+      emitKeyframeTo(socket, room);
+
+      socket.emit("spectateSuccess", {
+        roomCode,
+        follow: room.spectators[socket.id].follow,
+        chat: room.chat,
+      });
+    } catch (e) {
+      socketLog(socket).error("spectateRoom error", { err: e });
+      socket.emit("spectateDenied", { message: "Server error" });
+    }
+  },
+
+  followPlayer(socket, { playerId = null } = {}) {
+    try {
+      const { roomCode, spectator } = socket.data;
+      const room = roomCode && rooms.get(roomCode);
+      if (!room || !spectator || !room.spectators[socket.id]) return;
+
+      const follow = room.players[playerId] ? playerId : null;
+      room.spectators[socket.id].follow = follow;
+      socket.emit("followChanged", { playerId: follow });
+    } catch (e) {
+      socketLog(socket).error("followPlayer error", { err: e });
+    }
+  },
+
+  stopSpectating(socket) {
+    try {
+      const { roomCode, spectator } = socket.data;
+      if (!roomCode || !spectator) return;
+
+      socket.data.roomCode = null;
+      socket.data.spectator = false;
+
+      const room = rooms.get(roomCode);
+      if (room && room.spectators[socket.id]) {
+        removeSpectator(room, socket.id);
+        emitRoomState(roomCode);
+      }
+      socket.emit("spectateEnded", { message: "Stopped spectating" });
+    } catch (e) {
+      socketLog(socket).error("stopSpectating error", { err: e });
+    }
+  },
+
+  kickPlayer(socket, { playerId: target } = {}) {
+    try {
+      const room = moderatedRoom(socket, target, "kickDenied");
+      if (!room) return;
+
+      expelPlayer(room, target, "Kicked by host");
+    } catch (e) {
+      socketLog(socket).error("kickPlayer error", { err: e });
+      socket.emit("kickDenied", { message: "Server error" });
+    }
+  },
+
+  // Bans stick to the session's playerId: reconnecting with the same token
+  // stays banned, but a client that drops its token comes back as a new
+  // player. Addresses are no better behind proxies and shared NATs, so a
+  // host who wants everyone else out locks the room.
+  banPlayer(socket, { playerId: target } = {}) {
+    try {
+      const room = moderatedRoom(socket, target, "banDenied");
+      if (!room) return;
+
+      if (!room.bans.includes(target)) room.bans.push(target);
+      expelPlayer(room, target, "Banned by host");
+    } catch (e) {
+      socketLog(socket).error("banPlayer error", { err: e });
+      socket.emit("banDenied", { message: "Server error" });
+    }
+  },
+
+  transferHost(socket, { playerId: target } = {}) {
+    try {
+      const room = moderatedRoom(socket, target, "transferHostDenied");
+      if (!room) return;
+
+      changeHost(room, target, "transfer");
+      emitRoomState(room.roomCode);
+    } catch (e) {
+      socketLog(socket).error("transferHost error", { err: e });
+      socket.emit("transferHostDenied", { message: "Server error" });
+    }
+  },
+
+  // A locked room only lets its current players back in.
+  lockRoom(socket, { locked = true } = {}) {
+    try {
+      const { roomCode, playerId } = socket.data;
+      if (!roomCode || !playerId) return;
+
+      const room = rooms.get(roomCode);
+      if (!room) return;
+
+      if (room.hostId !== playerId) {
+        socket.emit("lockDenied", { message: "Only host can lock the room" });
+        return;
+      }
+
+      room.locked = Boolean(locked);
+      emitRoomState(roomCode);
+    } catch (e) {
+      socketLog(socket).error("lockRoom error", { err: e });
+      socket.emit("lockDenied", { message: "Server error" });
+    }
+  },
+
+  chatMessage(socket, { text } = {}) {
+    try {
+      const { roomCode, playerId } = socket.data;
+      if (!roomCode || !playerId) return;
+
+      const room = rooms.get(roomCode);
+      if (!room || !room.players[playerId]) return;
+
+      const clean = sanitizeChatText(text);
+      if (!clean) return;
+
+      if (!chatLimiter.allow(playerId)) {
+        socket.emit("chatDenied", { message: "Slow down" });
+        return;
+      }
+
+      const message = appendChatMessage(room, {
+        playerId,
+        name: room.players[playerId].name,
+        text: clean,
+      });
+      roomAudience(roomCode).emit("chatMessage", message);
+    } catch (e) {
+      socketLog(socket).error("chatMessage error", { err: e });
+    }
+  },
+
+  placePing(socket, payload) {
+    try {
+      const { roomCode, playerId } = socket.data;
+      if (!roomCode || !playerId) return;
+
+      const room = rooms.get(roomCode);
+      if (!room || !room.players[playerId]) return;
+
+      const ping = parsePing(payload, room.worldRuntime);
+      if (!ping) {
+        socket.emit("pingDenied", { message: "Invalid ping" });
+        return;
+      }
+      if (!chatLimiter.allow(playerId)) {
+        socket.emit("pingDenied", { message: "Slow down" });
+        return;
+      }
+
+      clearPing(roomCode, playerId);
+
+      const id = nextPingId++;
+      const key = `${roomCode}:${playerId}`;
+      const timer = setTimeout(() => {
+        if (activePings.get(key)?.id !== id) return;
+        activePings.delete(key);
+        roomAudience(roomCode).emit("pingExpired", { id });
+      }, PING_TTL_MS);
+      activePings.set(key, { id, timer });
+
+      roomAudience(roomCode).emit("pingPlaced", {
+        id,
+        playerId,
+        ...ping,
+        ttlMs: PING_TTL_MS,
+      });
+    } catch (e) {
+      socketLog(socket).error("placePing error", { err: e });
+    }
+  },
+
+  setPlayerName(socket, { name } = {}) {
+    try {
+      const { roomCode, playerId } = socket.data;
+      if (!roomCode || !playerId) return;
+
+      const room = rooms.get(roomCode);
+      if (!room || !room.players[playerId]) return;
+
+      const clean = sanitizeName(name);
+      if (!clean) return;
+
+      room.players[playerId].name = clean;
+      if (room.gameState.players[playerId]) {
+        room.gameState.players[playerId].name = clean;
+      }
+
+      emitRoomState(roomCode);
+      emitGameState(roomCode);
+    } catch (e) {
+      socketLog(socket).error("setPlayerName error", { err: e });
+    }
+  },
+
+  selectHero(socket, { hero } = {}) {
+    try {
+      const { roomCode, playerId } = socket.data;
+      if (!roomCode || !playerId) return;
+
+      const room = rooms.get(roomCode);
+      if (!room || !room.players[playerId]) return;
+
+      if (!isHeroId(hero)) {
+        socket.emit("heroDenied", { message: "Unknown hero" });
+        return;
+      }
+
+      // Heroes change the physics, so they are fixed for the whole round.
+      if (room.started) {
+        socket.emit("heroDenied", { message: "Game already started" });
+        return;
+      }
+
+      const taken = new Set(
+        Object.entries(room.players)
+          .filter(([pid, p]) => pid !== playerId && p.hero)
+          .map(([, p]) => p.hero),
+      );
+
+      if (taken.has(hero)) {
+        socket.emit("heroDenied", { message: "Hero already taken" });
+        return;
+      }
+
+      room.players[playerId].hero = hero;
+      room.players[playerId].ready = false;
+
+      ensurePlayerState(room, playerId);
+      emitRoomState(roomCode);
+      emitGameState(roomCode);
+    } catch (e) {
+      socketLog(socket).error("selectHero error", { err: e });
+    }
+  },
+
+  setReady(socket, { ready } = {}) {
+    try {
+      const { roomCode, playerId } = socket.data;
+      if (!roomCode || !playerId) return;
+
+      const room = rooms.get(roomCode);
+      if (!room) return;
+
+      const p = room.players[playerId];
+      if (!p) return;
+
+      if (!p.hero) {
+        socket.emit("readyDenied", { message: "Choose hero first" });
+        return;
+      }
+
+      p.ready = Boolean(ready);
+      emitRoomState(roomCode);
+    } catch (e) {
+      socketLog(socket).error("setReady error", { err: e });
+    }
+  },
+
+  startGameNow(socket) {
+    try {
+      const { roomCode, playerId } = socket.data;
+      if (!roomCode || !playerId) return;
+
+      const room = rooms.get(roomCode);
+      if (!room) return;
+
+      if (room.hostId !== playerId) {
+        socket.emit("startDenied", { message: "Only host can start" });
+        return;
+      }
+      // restartLevel is the way to start over a round still in play; a
+      // second start would drop its recording. A won room can go again.
+      if (room.started && room.gameState.gameStatus !== "won") {
+        socket.emit("startDenied", { message: "Game already started" });
+        return;
+      }
+
+      if (!allPicked(room)) {
+        socket.emit("startDenied", { message: "Everyone must pick a hero" });
+        return;
+      }
+      if (!allReady(room)) {
+        socket.emit("startDenied", { message: "Everyone must be ready" });
+        return;
+      }
+
+      if (room.campaign) {
+        room.campaign = createCampaign(room.campaign.levels);
+        selectRoomLevel(room, getLevel(currentCampaignLevel(room.campaign)));
+      }
+      beginRound(room);
+    } catch (e) {
+      socketLog(socket).error("startGameNow error", { err: e });
+      socket.emit("startDenied", { message: "Server error" });
+    }
+  },
+
+  restartLevel(socket) {
+    try {
+      const { roomCode, playerId } = socket.data;
+      if (!roomCode || !playerId) return;
+
+      const room = rooms.get(roomCode);
+      if (!room) return;
+
+      if (room.hostId !== playerId) {
+        socket.emit("restartDenied", { message: "Only host can restart" });
+        return;
+      }
+      if (!room.started) {
+        socket.emit("restartDenied", { message: "No round running" });
+        return;
+      }
+
+      if (room.campaign) cancelLevelResult(room.campaign);
+      finishRoomRecording(room, "restarted");
+      beginRound(room);
+    } catch (e) {
+      socketLog(socket).error("restartLevel error", { err: e });
+    }
+  },
+
+  returnToLobby(socket) {
+    try {
+      const { roomCode, playerId } = socket.data;
+      if (!roomCode || !playerId) return;
+
+      const room = rooms.get(roomCode);
+      if (!room) return;
+
+      if (room.hostId !== playerId) {
+        socket.emit("returnToLobbyDenied", {
+          message: "Only host can return to lobby",
+        });
+        return;
+      }
+      if (!room.started) {
+        socket.emit("returnToLobbyDenied", { message: "No round running" });
+        return;
+      }
+
+      returnRoomToLobby(room);
+    } catch (e) {
+      socketLog(socket).error("returnToLobby error", { err: e });
+    }
+  },
+
+  playerInput(socket, payload) {
+    try {
+      const { roomCode, playerId } = socket.data;
+      if (!roomCode || !playerId) return;
+
+      const room = rooms.get(roomCode);
+      if (!room || !room.started) return;
+
+      const now = Date.now();
+      if (
+        playerId === room.hostId &&
+        now - (room.baseYChangedAt ?? 0) >= WORLD2_RESIZE_INTERVAL_MS &&
+        syncRoomWorld2Height(room, payload)
+      ) {
+        room.baseYChangedAt = now;
+        if (room.recording) {
+          recordEvent(room.recording, room, "baseY", room.world2BaseY);
+        }
+        emitLevelData(roomCode);
+      }
+      queuePlayerInput(room, playerId, parseInputPayload(payload));
+    } catch (e) {
+      socketLog(socket).error("playerInput error", { err: e });
+    }
+  },
+
+  playerMove(socket, payload) {
+    roomEvents.playerInput(socket, payload);
+  },
+
+  stateAck(socket, { seq } = {}) {
+    try {
+      const { roomCode } = socket.data;
+      const room = roomCode && rooms.get(roomCode);
+      if (!room || !room.lastSentState) return;
+
+      const ackSeq = Number(seq);
+      measureLatency(room, socket.data.playerId, ackSeq);
+      if (
+        !Number.isFinite(ackSeq) ||
+        room.lastSentState.seq - ackSeq > STATE_RESYNC_GAP
+      ) {
+        emitKeyframeTo(socket, room);
+      }
+    } catch (e) {
+      socketLog(socket).error("stateAck error", { err: e });
+    }
+  },
+
+  requestKeyframe(socket) {
+    try {
+      const { roomCode } = socket.data;
+      const room = roomCode && rooms.get(roomCode);
+      if (room) emitKeyframeTo(socket, room);
+    } catch (e) {
+      socketLog(socket).error("requestKeyframe error", { err: e });
+    }
+  },
+
+  disconnect(socket) {
+    try {
+      const { roomCode, playerId } = socket.data;
+      if (socket.data.spectator) {
+        roomEvents.stopSpectating(socket);
+        return;
+      }
+      if (!roomCode || !playerId) return;
+
+      const sockets = playerToSocket.get(playerId);
+      if (!sockets) return;
+
+      sockets.delete(socket.id);
+      if (sockets.size > 0) return;
+
+      unbindPlayer(playerId);
+      clearPendingDisconnect(playerId);
+
+      schedulePlayerRemoval(playerId, roomCode);
+    } catch (e) {
+      socketLog(socket).error("disconnect error", { err: e });
+    }
+  },
+};
+
+// Socket-like handle for a socket connected to another node. Emits and room
+// membership go through the adapter, which reaches every node.
+function remoteSocket(id, data) {
+  return {
+    id,
+    data,
+    emit: (event, payload) => io.to(id).emit(event, payload),
+    join: (room) => io.in(id).socketsJoin(room),
+    leave: (room) => io.in(id).socketsLeave(room),
+  };
+}
+
+// Room events run on the node that owns the room; everywhere else they are
+// forwarded over the bus together with the socket's data.
+function routeRoomEvent(socket, event, payload) {
+  const roomCode =
+    event === "joinRoom" || event === "spectateRoom"
+      ? payload?.roomCode
+      : socket.data.roomCode;
+  const owner = roomCode ? directory.ownerOf(roomCode) : null;
+
+  if (owner && owner !== NODE_ID) {
+    bus.publish(`node:${owner}`, {
+      event,
+      socketId: socket.id,
+      data: { ...socket.data },
+      payload,
+    });
+    return;
+  }
+
+  roomEvents[event](socket, payload);
+}
+
+bus.subscribe(`node:${NODE_ID}`, ({ event, socketId, data, payload }) => {
+  if (!Object.hasOwn(roomEvents, event)) return;
+
+  const socket = remoteSocket(socketId, { ...data });
+  proxiedSockets.set(socketId, socket);
+  try {
+    roomEvents[event](socket, payload);
+  } finally {
+    proxiedSockets.delete(socketId);
+  }
+
+  // Hand whatever the handler changed back to the node holding the socket.
+  const patch = {};
+  for (const [k, v] of Object.entries(socket.data)) {
+    if (data[k] !== v) patch[k] = v;
+  }
+  if (Object.keys(patch).length) setSocketData(socketId, patch);
+});
+
+// Runs the event guard on an inbound packet and swaps in the validated
+// payload. Rejected packets never reach a handler.
+function admitPacket(socket, state, packet) {
+  const [event, payload] = packet;
+  const result = guard.check(state, event, payload);
+  socketEvents.inc({
+    // Unknown names come straight from clients; keep them out of labels.
+    event: result.code === "unknown_event" ? "unknown" : event,
+    result: result.ok ? "accepted" : result.code,
+  });
+  if (result.ok) {
+    packet[1] = result.value;
+    return true;
+  }
+  if (result.code === "abuse") return false;
+
+  socket.emit("eventError", {
+    event,
+    code: result.code,
+    message: result.message,
+  });
+  if (result.abusive) {
+    socketLog(socket).warn("abusive socket disconnected");
+    socket.disconnect(true);
+  }
+  return false;
+}
+
+// ---------------- Socket ----------------
+// The playerId a socket may act as comes from its handshake token, never
+// from event payloads.
+io.use((socket, next) => {
+  const session = issueSession(socket.handshake.auth?.token);
+  socket.data.sessionPlayerId = session.playerId;
+  socket.data.sessionToken = session.token;
+  next();
+});
+
+io.on("connection", (socket) => {
+  socketLog(socket).debug("socket connected", {
+    transport: socket.conn.transport.name,
+  });
+
+  socket.emit("session", {
+    playerId: socket.data.sessionPlayerId,
+    token: socket.data.sessionToken,
+  });
+  delete socket.data.sessionToken;
+
+  const guardState = guard.createSocketState();
+  socket.use((packet, next) => {
+    if (admitPacket(socket, guardState, packet)) next();
+  });
+
+  for (const event of Object.keys(roomEvents)) {
+    socket.on(event, (payload) => routeRoomEvent(socket, event, payload));
+  }
+
+  socket.on(
+    "createRoom",
+    ({
+      roomCode = generateRoomCode(),
+      maxPlayers,
+      hostId = socket.data.sessionPlayerId,
+      playerName,
+      world,
+      level,
+      visibility,
+      mode,
+      respawnMode,
+      ...payload
+    } = {}) => {
+      try {
+        const max = Number(maxPlayers);
+        const name = sanitizeName(playerName);
+        const campaign =
+          mode === "campaign" ? createCampaign(CAMPAIGN_LEVELS) : null;
+        const initialWorld = campaign
+          ? currentCampaignLevel(campaign)
+          : normalizeWorldValue(level ?? world);
+        const viewportMode =
+          WORLD2_VIEWPORT_MODE === "auto"
+            ? payload.viewportMode === "fixed"
+              ? "fixed"
+              : "legacy"
+            : WORLD2_VIEWPORT_MODE;
+        const initialWorld2BaseY =
+          getLevel(initialWorld).adjustableBaseY && viewportMode === "legacy"
+            ? (normalizeWorld2BaseYFromPayload(payload) ?? WORLD2_BASE_Y)
+            : WORLD2_BASE_Y;
+
+        if (
+          !roomCode ||
+          !hostId ||
+          !Number.isInteger(max) ||
+          max < 1 ||
+          max > 4
+        ) {
+          socket.emit("createDenied", "Invalid parameters");
+          return;
+        }
+
+        if (hostId !== socket.data.sessionPlayerId) {
+          socket.emit("createDenied", "Player id does not match");
+          return;
+        }
+
+        if (socket.data.spectator) {
+          socket.emit("createDenied", "Stop spectating first");
+          return;
+        }
+
+        if (draining) {
+          socket.emit(
+            "createDenied",
+            shutdown.started()
+              ? "Server is shutting down"
+              : "Server is not accepting new rooms",
+          );
+          return;
+        }
+
+        if (rooms.has(roomCode) || directory.has(roomCode)) {
+          socket.emit("createDenied", "Room code already exists");
+          return;
+        }
+
+        clearPendingDisconnect(hostId);
+
+        const room = createRoomState({
+          roomCode,
+          maxPlayers: max,
+          hostId,
+          hostName: name,
+          level: getLevel(initialWorld),
+          world2BaseY: initialWorld2BaseY,
+          visibility: visibility === "public" ? "public" : "private",
+          viewportMode,
+          respawnMode: respawnMode === "level" ? null : (respawnMode ?? null),
+          mode: campaign ? "campaign" : "single",
+          campaign,
+        });
+
+        if (!directory.claim(roomCode)) {
+          socket.emit("createDenied", "Room code already exists");
+          return;
+        }
+        rooms.set(roomCode, room);
+        roomEventsTotal.inc({ event: "created" });
+        roomLog(room).info("room created", {
+          hostId,
+          maxPlayers: max,
+          world: room.world,
+          visibility: room.visibility,
+          mode: room.mode,
+        });
+
+        socket.join(roomCode);
+        socket.data.roomCode = roomCode;
+        socket.data.playerId = hostId;
+
+        bindPlayerSocket(hostId, socket.id);
+
+        emitRoomState(roomCode);
+        socket.emit("levelData", levelDataPayload(room));
+        emitGameState(roomCode);
+
+        socket.emit("joinSuccess", {
+          roomCode,
+          playerId: hostId,
+          playerIndex: 1,
+          chat: room.chat,
+          message: "Host created room",
+        });
+      } catch (e) {
+        socketLog(socket).error("createRoom error", { err: e });
+        socket.emit("createDenied", "Server error");
+      }
+    },
+  );
+
+  // Replies with the public rooms and keeps the socket posted on changes
+  // until stopListRooms.
+  socket.on("listRooms", () => {
+    try {
+      socket.join(ROOM_BROWSER);
+      socket.emit("roomList", { rooms: directory.list() });
+    } catch (e) {
+      socketLog(socket).error("listRooms error", { err: e });
+    }
+  });
+
+  socket.on("stopListRooms", () => socket.leave(ROOM_BROWSER));
+});
+
+// ---------------- Replay playback ----------------
+const replayNamespace = io.of("/replay");
+
+replayNamespace.on("connection", (socket) => {
+  let playback = null;
+
+  const guardState = guard.createSocketState();
+  socket.use((packet, next) => {
+    if (admitPacket(socket, guardState, packet)) next();
+  });
+
+  const stopPlayback = () => {
+    if (!playback) return;
+    clearInterval(playback.handle);
+    playback = null;
+  };
+
+  const emitFrame = (room, seq) => {
+    if (room.forceKeyframe) {
+      room.forceKeyframe = false;
+      socket.emit("levelData", levelDataPayload(room));
+    }
+    socket.emit("gameState", {
+      keyframe: true,
+      seq,
+      ...buildStateSnapshot(room),
+    });
+  };
+
+  socket.on("playReplay", ({ id, speed } = {}) => {
+    try {
+      stopPlayback();
+
+      const replay = loadReplay(REPLAY_DIR, id);
+      if (!replay) {
+        socket.emit("replayError", { message: "Replay not found" });
+        return;
+      }
+
+      const cursor = createReplayCursor(replay);
+      const rate = clamp(Number(speed) || 1, 0.25, 8);
+      let owed = 0;
+      let seq = 1;
+
+      socket.emit("replayStart", {
+        id: replay.id,
+        world: replay.world,
+        ticks: replay.endTick - replay.startTick,
+        speed: rate,
+      });
+      socket.emit("levelData", levelDataPayload(cursor.room));
+      emitFrame(cursor.room, seq);
+
+      // Accelerated playback runs several ticks per frame instead of
+      // shrinking the timer interval.
+      const handle = setInterval(() => {
+        owed += rate;
+        let stepped = false;
+        while (owed >= 1) {
+          owed -= 1;
+          if (!stepReplay(replay, cursor)) {
+            if (stepped) emitFrame(cursor.room, ++seq);
+            stopPlayback();
+            socket.emit("replayEnd", { id: replay.id, result: replay.result });
+            return;
+          }
+          stepped = true;
+        }
+        if (stepped) emitFrame(cursor.room, ++seq);
+      }, FIXED_STEP_MS);
+
+      playback = { handle };
+    } catch (e) {
+      socketLog(socket).error("playReplay error", { err: e });
+      socket.emit("replayError", { message: "Server error" });
+    }
+  });
+
+  socket.on("stopReplay", stopPlayback);
+  socket.on("disconnect", stopPlayback);
+});
+
+// ---------------- Admin ----------------
+// Every action runs on the node that owns the room; requests for rooms on
+// another node travel over the bus and the answer comes back the same way.
+// Drain mode refuses new rooms everywhere while the existing ones play out.
+let draining = false;
+
+bus.subscribe("drain", ({ draining: next }) => {
+  draining = shutdown.started() || Boolean(next);
+  log.warn(draining ? "drain mode on" : "drain mode off");
+});
+
+function adminRoomState(room) {
+  return {
+    roomCode: room.roomCode,
+    node: NODE_ID,
+    hostId: room.hostId,
+    visibility: room.visibility,
+    locked: room.locked,
+    mode: room.mode,
+    world: room.world,
+    maxPlayers: room.maxPlayers,
+    players: room.playerOrder.map((pid) => ({
+      playerId: pid,
+      name: room.players[pid]?.name,
+      hero: room.players[pid]?.hero,
+      ready: room.players[pid]?.ready,
+      connected: playerToSocket.has(pid),
+    })),
+    spectators: Object.keys(room.spectators).length,
+    started: room.started,
+    running: Boolean(room.loopHandle),
+    gameStatus: room.gameState.gameStatus,
+    tick: room.tick,
+    runTicks: runTicks(room),
+  };
+}
+
+const adminActions = {
+  // `full` adds each room's whole saved record (game state, world, chat,
+  // deaths), which is several kilobytes a room, so it is asked for rather
+  // than sent with every listing.
+  list: ({ full }) => ({
+    status: 200,
+    body: {
+      rooms: [...rooms.values()].map((room) =>
+        full
+          ? { ...adminRoomState(room), state: serializeRoom(room) }
+          : adminRoomState(room),
+      ),
+    },
+  }),
+
+  inspect: (room) => ({
+    status: 200,
+    body: {
+      room: adminRoomState(room),
+      gameState: buildStateSnapshot(room),
+      inputs: room.inputs,
+      inputQueues: room.inputQueues,
+      lastProcessedInput: room.lastProcessedInput,
+    },
+  }),
+
+  end(room, { message = "Room ended by an administrator" }) {
+    endRoom(room, message);
+    return { status: 200, body: { ended: room.roomCode } };
+  },
+
+  reset(room) {
+    if (!room.started) {
+      return { status: 409, body: { error: "No round running" } };
+    }
+    if (room.gameState.gameStatus === "won") {
+      return { status: 409, body: { error: "Round already won" } };
+    }
+    if (room.recording) recordEvent(room.recording, room, "reset");
+    resetRoundAfterDeath(room);
+    emitGameState(room.roomCode, { keyframe: true });
+    return { status: 200, body: { reset: room.roomCode } };
+  },
+
+  kick(room, { playerId }) {
+    if (!room.players[playerId]) {
+      return { status: 404, body: { error: "Player not in room" } };
+    }
+    expelPlayer(room, playerId, "Removed by an administrator");
+    return { status: 200, body: { kicked: playerId } };
+  },
+};
+
+function runAdminAction(action, roomCode, params = {}) {
+  if (!roomCode) return adminActions[action](params);
+  const room = rooms.get(roomCode);
+  if (!room) return { status: 404, body: { error: "Room not found" } };
+  roomLog(room).info("admin action", { action });
+  return adminActions[action](room, params);
+}
+
+const pendingAdminRequests = new Map();
+let adminRequestSeq = 0;
+
+function askNode(node, action, roomCode, params) {
+  if (node === NODE_ID) {
+    return Promise.resolve(runAdminAction(action, roomCode, params));
+  }
+  return new Promise((resolve) => {
+    const id = `${NODE_ID}:${++adminRequestSeq}`;
+    const timer = setTimeout(() => {
+      pendingAdminRequests.delete(id);
+      resolve({ status: 504, body: { error: `Node ${node} did not answer` } });
+    }, ADMIN_TIMEOUT_MS);
+    pendingAdminRequests.set(id, { resolve, timer });
+    bus.publish(`admin:${node}`, {
+      id,
+      action,
+      roomCode,
+      params,
+      replyTo: NODE_ID,
+    });
+  });
+}
+
+bus.subscribe(
+  `admin:${NODE_ID}`,
+  ({ id, action, roomCode, params, replyTo }) => {
+    let result;
+    try {
+      result = runAdminAction(action, roomCode, params);
+    } catch (e) {
+      log.error("admin action error", { action, roomCode, err: e });
+      result = { status: 500, body: { error: "Server error" } };
+    }
+    bus.publish(`adminReply:${replyTo}`, { id, result });
+  },
+);
+
+bus.subscribe(`adminReply:${NODE_ID}`, ({ id, result }) => {
+  const pending = pendingAdminRequests.get(id);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingAdminRequests.delete(id);
+  pending.resolve(result);
+});
+
+const tokenDigest = (v) => crypto.createHash("sha256").update(v).digest();
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    res.status(404).json({ error: "Admin API disabled" });
+    return;
+  }
+  const [scheme, token] = String(req.get("authorization") ?? "").split(" ");
+  if (
+    scheme !== "Bearer" ||
+    !token ||
+    !crypto.timingSafeEqual(tokenDigest(token), tokenDigest(ADMIN_TOKEN))
+  ) {
+    res.status(401).json({ error: "Unauthorized" });
+    return;
+  }
+  next();
+}
+
+// Runs `action` on the room's owner and sends back what it returned.
+function adminRoomRoute(action, params = () => ({})) {
+  return async (req, res) => {
+    try {
+      const { roomCode } = req.params;
+      const owner = directory.ownerOf(roomCode) ?? NODE_ID;
+      const { status, body } = await askNode(
+        owner,
+        action,
+        roomCode,
+        params(req),
+      );
+      res.status(status).json(body);
+    } catch (e) {
+      log.error("admin route error", { action, err: e });
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+}
+
+const admin = express.Router();
+admin.use(requireAdmin);
+
+admin.get("/rooms", async (req, res) => {
+  try {
+    const nodes = new Set([NODE_ID, ...directory.owners()]);
+    const params = { full: req.query.full === "1" };
+    const replies = await Promise.all(
+      [...nodes].map((node) => askNode(node, "list", null, params)),
+    );
+    res.status(200).json({
+      rooms: replies.flatMap((r) => r.body?.rooms ?? []),
+      unreachable: [...nodes].filter((_, i) => replies[i].status !== 200),
+    });
+  } catch (e) {
+    log.error("admin route error", { action: "list", err: e });
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+admin.get("/rooms/:roomCode", adminRoomRoute("inspect"));
+admin.post(
+  "/rooms/:roomCode/end",
+  adminRoomRoute("end", (req) => ({ message: req.body?.message })),
+);
+admin.post("/rooms/:roomCode/reset", adminRoomRoute("reset"));
+admin.post(
+  "/rooms/:roomCode/kick",
+  adminRoomRoute("kick", (req) => ({ playerId: String(req.body?.playerId) })),
+);
+
+// Reaches every connected client on every node through the adapter.
+admin.post("/broadcast", (req, res) => {
+  const message = sanitizeChatText(req.body?.message);
+  if (!message) {
+    res.status(400).json({ error: "message is required" });
+    return;
+  }
+  io.emit("serverMessage", { message, at: Date.now() });
+  log.warn("admin broadcast", { message });
+  res.status(200).json({ sent: message });
+});
+
+// Rooms still open on this node and, through the directory, on all of them.
+const drainStatus = () => ({
+  draining,
+  node: NODE_ID,
+  nodeRooms: rooms.size,
+  clusterRooms: directory.size(),
+});
+
+admin.get("/drain", (req, res) => {
+  res.status(200).json(drainStatus());
+});
+
+admin.post("/drain", (req, res) => {
+  draining = shutdown.started() || req.body?.draining !== false;
+  bus.publish("drain", { draining });
+  res.status(200).json(drainStatus());
+});
+
+app.use("/admin", admin);
+
+// ---------------- Persistence ----------------
+// Workers keep separate snapshot files so each restores only its own rooms.
+const roomStore = createRoomStore(ROOM_STORE, {
+  dir: STORE_DIR,
+  file: cluster.isWorker ? `rooms-${NODE_ID}.json` : "rooms.json",
+});
+
+function snapshotRooms(cb = () => {}) {
+  if (!roomStore) return cb(null);
+  const records = [...rooms.values()].map(serializeRoom);
+  roomStore.save(records, (err) => {
+    if (err) log.error("snapshotRooms error", { err });
+    cb(err);
+  });
+}
+
+function rehydrateRooms() {
+  if (!roomStore) return;
+
+  let records = [];
+  try {
+    records = roomStore.load();
+  } catch (e) {
+    log.error("rehydrateRooms error", { err: e });
+    return;
+  }
+
+  for (const record of records) {
+    const level = LEVELS.get(Number(record.world));
+    if (!level || !record.roomCode || rooms.has(record.roomCode)) continue;
+    if (!directory.claim(record.roomCode)) continue;
+
+    const room = restoreRoom(record, level);
+    rooms.set(room.roomCode, room);
+    publishRoomSummary(room);
+
+    // Nobody is connected yet: everyone gets the usual grace window to
+    // come back with joinRoom before their slot is released.
+    for (const pid of Object.keys(room.players)) {
+      schedulePlayerRemoval(pid, room.roomCode);
+    }
+
+    if (room.started) startRoomLoop(room.roomCode);
+  }
+
+  if (rooms.size) log.info("rooms restored", { rooms: rooms.size });
+}
+
+rehydrateRooms();
+const snapshotTimer = roomStore
+  ? setInterval(() => snapshotRooms(), SNAPSHOT_INTERVAL_MS)
+  : null;
+
+// ---------------- Shutdown ----------------
+// New rooms are refused straight away while the running ones play on through
+// the countdown, or until they have all closed on a draining node. Then every
+// loop stops, the rooms are snapshotted (or the store is cleared) and
+// Socket.IO closes with the HTTP server.
+function announceShutdown(shutdownAt) {
+  const payload = { shutdownAt, countdownMs: shutdownAt - Date.now() };
+  const channels = [];
+  for (const roomCode of rooms.keys()) {
+    roomAudience(roomCode).emit("serverShutdown", { ...payload, roomCode });
+    channels.push(roomCode, spectatorChannel(roomCode));
+  }
+  // Sockets on this node whose room lives elsewhere still lose their
+  // connection.
+  io.local.except(channels).emit("serverShutdown", payload);
+}
+
+function stopServer(done) {
+  for (const roomCode of rooms.keys()) stopRoomLoop(roomCode);
+  if (snapshotTimer) clearInterval(snapshotTimer);
+
+  const finish = () =>
+    io.close(() => {
+      log.info("shutdown complete");
+      done();
+    });
+
+  if (!roomStore) return finish();
+  if (SHUTDOWN_SNAPSHOT) return snapshotRooms(finish);
+  roomStore.save([], (err) => {
+    if (err) log.error("clear room store error", { err });
+    finish();
+  });
+}
+
+const shutdown = createShutdown({
+  countdownMs: SHUTDOWN_COUNTDOWN_MS,
+  deadlineMs: SHUTDOWN_DEADLINE_MS,
+  state: () => ({
+    rooms: rooms.size,
+    clients: io.engine.clientsCount,
+    draining,
+  }),
+  announce: announceShutdown,
+  stop: stopServer,
+  exit: (code) => process.exit(code),
+  log,
+});
+
+const onSignal = (signal) => {
+  if (shutdown.begin(signal)) draining = true;
+};
+process.on("SIGTERM", () => onSignal("SIGTERM"));
+process.on("SIGINT", () => onSignal("SIGINT"));
+
+// Cluster workers get their connections from the primary's sticky balancer.
+if (cluster.isWorker) {
+  const { setupWorker } = require("@socket.io/sticky");
+  setupWorker(io);
+  log.info("worker ready");
+} else {
+  server.listen(PORT, "0.0.0.0", () => {
+    log.info("server listening", {
+      port: PORT,
+      env: NODE_ENV,
+      allowedOrigins,
+    });
+  });
+}
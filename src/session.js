@@ -0,0 +1,57 @@
+const crypto = require("crypto");
+
+// ---------------- Sessions ----------------
+// A session token binds a server-chosen playerId to the client holding it:
+// `<base64url payload>.<base64url HMAC-SHA256 of the payload>`. Clients
+// never pick their own id; they present the token and get the id back.
+
+const SESSION_TTL_MS = Number(
+  process.env.SESSION_TTL_MS || 7 * 24 * 60 * 60 * 1000,
+);
+
+const sign = (body, secret) =>
+  crypto.createHmac("sha256", secret).update(body).digest("base64url");
+
+function createSessionToken(playerId, secret, now = Date.now()) {
+  const body = Buffer.from(
+    JSON.stringify({ pid: playerId, iat: now }),
+  ).toString("base64url");
+  return `${body}.${sign(body, secret)}`;
+}
+
+// Returns { playerId, issuedAt } or null for anything forged, malformed or
+// older than SESSION_TTL_MS.
+function verifySessionToken(token, secret, now = Date.now()) {
+  if (typeof token !== "string") return null;
+  const [body, sig, ...rest] = token.split(".");
+  if (!body || !sig || rest.length) return null;
+
+  const expected = Buffer.from(sign(body, secret));
+  const given = Buffer.from(sig);
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    return null;
+  }
+
+  try {
+    const { pid, iat } = JSON.parse(Buffer.from(body, "base64url"));
+    if (typeof pid !== "string" || !pid || !Number.isFinite(iat)) return null;
+    if (now - iat > SESSION_TTL_MS) return null;
+    return { playerId: pid, issuedAt: iat };
+  } catch {
+    return null;
+  }
+}
+
+function newPlayerId() {
+  return crypto.randomUUID();
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  createSessionToken,
+  verifySessionToken,
+  newPlayerId,
+};
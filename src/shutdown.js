@@ -0,0 +1,86 @@
+// ---------------- Shutdown ----------------
+// When a stopping server tells its clients, stops its rooms and gives up
+// waiting. The host supplies the work (announce, stop, exit) and the timers,
+// so the timing can be tested without a real server or clock.
+
+// Time left between stopping the rooms and the deadline for the snapshot
+// and closing the sockets.
+const SHUTDOWN_CLOSE_MS = 2000;
+
+// { waitForRooms, stopAfterMs }: an idle node stops at once, a busy one
+// after the countdown, and one that was already draining waits for its rooms
+// to close, as long as the deadline allows.
+function planShutdown({
+  rooms,
+  clients,
+  draining,
+  countdownMs,
+  deadlineMs,
+  closeMs = SHUTDOWN_CLOSE_MS,
+}) {
+  const latestStopMs = Math.max(0, deadlineMs - closeMs);
+  const waitForRooms = draining && rooms > 0;
+  let stopAfterMs = 0;
+  if (waitForRooms) stopAfterMs = latestStopMs;
+  else if (rooms || clients) stopAfterMs = Math.min(countdownMs, latestStopMs);
+  return { waitForRooms, stopAfterMs };
+}
+
+function createShutdown({
+  countdownMs,
+  deadlineMs,
+  closeMs,
+  state,
+  announce,
+  stop,
+  exit,
+  log,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+  now = Date.now,
+}) {
+  let plan = null;
+  let stopTimer = null;
+  let stopping = false;
+
+  const stopNow = () => {
+    if (stopping) return;
+    stopping = true;
+    clearTimer(stopTimer);
+    stop(() => exit(0));
+  };
+
+  return {
+    started: () => plan !== null,
+
+    // False when a shutdown is already under way; repeated signals wait for
+    // it rather than cutting it short.
+    begin(signal) {
+      if (plan) {
+        log.warn("already shutting down", { signal });
+        return false;
+      }
+      const current = state();
+      plan = planShutdown({ ...current, countdownMs, deadlineMs, closeMs });
+      log.warn("shutting down", { signal, rooms: current.rooms, ...plan });
+      announce(now() + plan.stopAfterMs);
+
+      const deadline = setTimer(() => {
+        log.error("shutdown deadline passed");
+        exit(1);
+      }, deadlineMs);
+      deadline?.unref?.();
+      stopTimer = setTimer(stopNow, plan.stopAfterMs);
+      return true;
+    },
+
+    // The last room closed; a shutdown waiting on drained rooms goes ahead.
+    roomsEmpty() {
+      if (!plan?.waitForRooms || stopping) return;
+      log.info("drained rooms closed");
+      stopNow();
+    },
+  };
+}
+
+module.exports = { SHUTDOWN_CLOSE_MS, planShutdown, createShutdown };
@@ -0,0 +1,1233 @@
+// Headless game simulation: rooms are plain objects and every function here
+// works without sockets, timers or the wall clock.
+
+const { HEROES } = require("./heroes");
+const { RESPAWN_MODES } = require("./levels");
+
+// ---------------- Constants ----------------
+const TICK_RATE = Number(process.env.TICK_RATE || 30);
+const RESPAWN_DELAY_MS = Number(process.env.RESPAWN_DELAY_MS || 1800);
+// The simulation always advances in whole steps of FIXED_STEP_MS.
+const FIXED_STEP_MS = 1000 / TICK_RATE;
+const RESPAWN_DELAY_TICKS = Math.round(RESPAWN_DELAY_MS / FIXED_STEP_MS);
+// Predicting clients should send one input per server tick; anything beyond
+// this backlog is dropped oldest-first so lag can't pile up.
+const INPUT_QUEUE_LIMIT = Number(process.env.INPUT_QUEUE_LIMIT || 8);
+// Ticks of position history kept per player for swept and rewound checks.
+const POSITION_HISTORY_TICKS = Number(
+  process.env.POSITION_HISTORY_TICKS || TICK_RATE,
+);
+// No move covers this much ground in one tick; a longer hop between two
+// recorded positions was a placement, so nothing is swept along it.
+const MAX_SWEEP_DISTANCE = 64;
+
+const BASE_PHYSICS = {
+  gravity: 0.6,
+  moveSpeed: 5,
+  jumpForce: -14,
+  maxFallSpeed: 18,
+};
+
+// Match frontend sprite/collider dimensions
+const PLAYER_WIDTH = 45;
+const PLAYER_HEIGHT = 55;
+
+// Players without a (known) hero: plain world physics and no ability.
+const BASE_HERO = {
+  moveSpeed: 1,
+  jumpForce: 1,
+  width: PLAYER_WIDTH,
+  height: PLAYER_HEIGHT,
+  ability: null,
+  cooldownTicks: 0,
+  durationTicks: 0,
+};
+
+// Default base line for levels that follow the client's canvas height (map2)
+const WORLD2_BASE_Y = Number(process.env.WORLD2_BASE_Y || 820);
+// Clients lay the floor out this far above the bottom of their canvas.
+const VIEWPORT_FLOOR_MARGIN = 80;
+// "fixed" rooms keep adjustable levels at WORLD2_BASE_Y and leave fitting
+// the screen to the client's camera; "legacy" rooms still move the world
+// to match the host's canvasHeight.
+const VIEWPORT_MODES = ["fixed", "legacy"];
+
+const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+
+function intersects(a, b) {
+  return (
+    a.x < b.x + b.width &&
+    a.x + a.width > b.x &&
+    a.y < b.y + b.height &&
+    a.y + a.height > b.y
+  );
+}
+
+// Whether a box of `size` moving in a straight line from `from` to `to`
+// overlaps `rect` at any point on the way.
+function sweptIntersects(from, to, size, rect) {
+  let enter = 0;
+  let exit = 1;
+  for (const [axis, extent] of [
+    ["x", "width"],
+    ["y", "height"],
+  ]) {
+    const d = to[axis] - from[axis];
+    const lo = rect[axis] - (from[axis] + size[extent]);
+    const hi = rect[axis] + rect[extent] - from[axis];
+    if (d === 0) {
+      if (lo >= 0 || hi <= 0) return false;
+      continue;
+    }
+    const t1 = lo / d;
+    const t2 = hi / d;
+    enter = Math.max(enter, Math.min(t1, t2));
+    exit = Math.min(exit, Math.max(t1, t2));
+    if (enter >= exit) return false;
+  }
+  return true;
+}
+
+// ---------------- Loop timing ----------------
+// Hosts drive stepRoom from a whole-millisecond interval, rounded down, so a
+// callback owing two steps now and then is normal. Only one that fired a
+// full step later than its interval fell behind.
+const LOOP_INTERVAL_MS = Math.max(10, Math.floor(FIXED_STEP_MS));
+
+function isLateTick(elapsedMs, intervalMs = LOOP_INTERVAL_MS) {
+  return elapsedMs - intervalMs > FIXED_STEP_MS;
+}
+
+// ---------------- Worlds ----------------
+function cloneWorldRuntime(level, options = {}) {
+  const baseY = Number(options.world2BaseY);
+  const dy =
+    level.adjustableBaseY && Number.isFinite(baseY) ? baseY - level.baseY : 0;
+  const shift = (r) => ({ ...r, y: r.y + dy });
+
+  return {
+    id: level.id,
+    width: level.width,
+    groundY: level.groundY + dy,
+    hasGlobalFloor: Boolean(level.hasGlobalFloor),
+    stopOnRelease: Boolean(level.stopOnRelease),
+    adjustableBaseY: Boolean(level.adjustableBaseY),
+    doorRequirement: level.doorRequirement ?? "all",
+    ...BASE_PHYSICS,
+    ...level.physics,
+    spawnPoints: level.spawnPoints.map(shift),
+    platforms: level.platforms.map(shift),
+    movingPlatforms: (level.movingPlatforms || []).map((mp) => ({
+      ...shift(mp),
+      direction: mp.direction ?? 1,
+    })),
+    fallingPlatforms: (level.fallingPlatforms || []).map((fp) => ({
+      ...shift(fp),
+      originalY: fp.y + dy,
+      falling: false,
+      fallTimer: 0,
+    })),
+    key: shift(level.key),
+    door: shift(level.door),
+    dangerButtons: (level.hazards || [])
+      .filter((h) => (h.type ?? "dangerButton") === "dangerButton")
+      .map(({ type, ...h }) => shift(h)),
+    plates: (level.plates || []).map((plate) => ({
+      ...shift(plate),
+      required: plate.required ?? 1,
+      durationTicks: plate.durationTicks ?? 0,
+      weight: 0,
+      timer: 0,
+      active: false,
+    })),
+    gates: (level.gates || []).map((gate) => {
+      const closed = shift(gate);
+      const open = gate.open
+        ? shift(gate.open)
+        : { x: closed.x, y: closed.y - closed.height };
+      return {
+        ...closed,
+        closedX: closed.x,
+        closedY: closed.y,
+        openX: open.x,
+        openY: open.y,
+        speed: gate.speed ?? 4,
+        open: false,
+      };
+    }),
+    checkpoints: (level.checkpoints || []).map((cp) => ({
+      ...shift(cp),
+      spawnPoints: cp.spawnPoints.map(shift),
+    })),
+    respawn: level.respawn ?? "checkpoint",
+  };
+}
+
+function heroStats(heroId) {
+  return { ...BASE_HERO, ...(heroId && HEROES[heroId]) };
+}
+
+// ---------------- Rooms ----------------
+function playerIndexOf(room, playerId) {
+  return room.playerOrder.indexOf(playerId) + 1;
+}
+
+function createPlayerGameState(clientPlayerId, slot, room) {
+  const colors = ["#FF6B6B", "#4ECDC4", "#FFE66D", "#A8DADC"];
+  const spawns = activeSpawnPoints(room);
+  const spawn = spawns[(slot - 1) % spawns.length];
+  const hero = room.players[clientPlayerId]?.hero ?? null;
+  const stats = heroStats(hero);
+
+  return {
+    id: slot,
+    clientPlayerId,
+    playerId: slot,
+    hero,
+    name: room.players[clientPlayerId]?.name ?? "",
+    x: spawn.x,
+    // Spawn points are placed for the default collider; keep feet on them.
+    y: spawn.y + PLAYER_HEIGHT - stats.height,
+    vx: 0,
+    vy: 0,
+    width: stats.width,
+    height: stats.height,
+    ability: stats.ability,
+    abilityCooldown: 0,
+    abilityTicks: 0,
+    abilityHeld: false,
+    airJumps: 0,
+    onGround: true,
+    animFrame: 0,
+    facingRight: true,
+    color: colors[(slot - 1) % colors.length],
+    dead: false,
+    standingOnPlayer: null,
+  };
+}
+
+function ensurePlayerState(room, playerId) {
+  const slot = playerIndexOf(room, playerId);
+  if (slot < 1) return null;
+
+  if (!room.gameState.players[playerId]) {
+    room.gameState.players[playerId] = createPlayerGameState(
+      playerId,
+      slot,
+      room,
+    );
+  }
+
+  const p = room.gameState.players[playerId];
+  p.id = slot;
+  p.playerId = slot;
+  p.clientPlayerId = playerId;
+  p.hero = room.players[playerId]?.hero ?? null;
+  p.name = room.players[playerId]?.name ?? "";
+
+  const stats = heroStats(p.hero);
+  if (Number.isFinite(p.y) && p.height !== stats.height) {
+    p.y += p.height - stats.height;
+  }
+  p.width = stats.width;
+  p.height = stats.height;
+  if (p.ability !== stats.ability) {
+    p.ability = stats.ability;
+    p.abilityCooldown = 0;
+    p.abilityTicks = 0;
+  }
+  p.x = clamp(p.x, 0, room.worldRuntime.width - p.width);
+  if (!Number.isFinite(p.y)) p.y = room.worldRuntime.groundY - p.height;
+
+  return p;
+}
+
+function freshGameState(world, gameStatus) {
+  return {
+    players: {},
+    keyCollected: false,
+    playersAtDoor: [],
+    // { index, keyCollected } of the last checkpoint the team touched.
+    checkpoint: null,
+    gameStatus,
+    world,
+  };
+}
+
+function createRoomState({
+  roomCode,
+  maxPlayers,
+  hostId,
+  hostName,
+  level,
+  world2BaseY = WORLD2_BASE_Y,
+  visibility = "private",
+  viewportMode = "legacy",
+  respawnMode = null,
+  mode = "single",
+  campaign = null,
+}) {
+  return {
+    roomCode,
+    maxPlayers,
+    hostId,
+    visibility,
+    viewportMode,
+    respawnMode,
+    mode,
+    campaign,
+    locked: false,
+    bans: [],
+    chat: [],
+    chatSeq: 0,
+    started: false,
+    world: level.id,
+    level,
+    world2BaseY,
+    worldRuntime: cloneWorldRuntime(level, { world2BaseY }),
+    playerOrder: [hostId],
+    players: {
+      [hostId]: { hero: null, ready: false, name: hostName || "Player 1" },
+    },
+    gameState: freshGameState(level.id, "waiting"),
+    inputs: {},
+    inputQueues: {},
+    lastProcessedInput: {},
+    positionHistory: {},
+    rewindTicks: {},
+    spectators: {},
+    tick: 0,
+    loopHandle: null,
+    lastStepAt: 0,
+    accumulatorMs: 0,
+    respawnAtTick: 0,
+    roundStartTick: 0,
+    deaths: [],
+  };
+}
+
+function selectRoomLevel(room, level) {
+  room.world = level.id;
+  room.level = level;
+  room.worldRuntime = cloneWorldRuntime(level, {
+    world2BaseY: room.world2BaseY,
+  });
+  room.gameState = freshGameState(level.id, "waiting");
+  room.respawnAtTick = 0;
+}
+
+function startRound(room) {
+  room.started = true;
+  room.worldRuntime = cloneWorldRuntime(room.level, {
+    world2BaseY: room.world2BaseY,
+  });
+  room.gameState = freshGameState(room.world, "playing");
+  room.respawnAtTick = 0;
+  room.roundStartTick = room.tick;
+  room.deaths = [];
+  room.positionHistory = {};
+}
+
+function addRoomPlayer(room, playerId, name) {
+  const count = Object.keys(room.players).length;
+  room.players[playerId] = {
+    hero: null,
+    ready: false,
+    name: name || `Player ${count + 1}`,
+  };
+  room.playerOrder.push(playerId);
+}
+
+function removePlayerState(room, playerId) {
+  delete room.players[playerId];
+  delete room.inputs[playerId];
+  delete room.inputQueues[playerId];
+  delete room.lastProcessedInput[playerId];
+  delete room.positionHistory[playerId];
+  delete room.rewindTicks[playerId];
+  // Filled in by the host from stateAck round trips.
+  if (room.latencyMs) delete room.latencyMs[playerId];
+  if (room.gameState.players[playerId]) {
+    delete room.gameState.players[playerId];
+  }
+  room.playerOrder = room.playerOrder.filter((x) => x !== playerId);
+}
+
+// Runtime-only fields: timers, network bookkeeping and the level object,
+// which is looked up again by world id when a room is restored. The replay
+// being recorded stays out too: it grows every tick, and a restored room
+// simply records nothing until its next round starts.
+const TRANSIENT_ROOM_KEYS = [
+  "level",
+  "loopHandle",
+  "lastStepAt",
+  "accumulatorMs",
+  "inputQueues",
+  "lastSentState",
+  "forceKeyframe",
+  "listedSummary",
+  "spectators",
+  "baseYChangedAt",
+  "positionHistory",
+  "stateSentAt",
+  "latencyMs",
+  "recording",
+];
+
+function serializeRoom(room) {
+  const record = { ...room };
+  for (const k of TRANSIENT_ROOM_KEYS) delete record[k];
+  return JSON.parse(JSON.stringify(record));
+}
+
+function restoreRoom(record, level) {
+  return {
+    visibility: "private",
+    viewportMode: "legacy",
+    respawnMode: null,
+    locked: false,
+    bans: [],
+    chat: [],
+    chatSeq: 0,
+    mode: "single",
+    campaign: null,
+    roundStartTick: 0,
+    deaths: [],
+    rewindTicks: {},
+    ...record,
+    // Snapshots taken before these level objects existed.
+    worldRuntime: {
+      plates: [],
+      gates: [],
+      checkpoints: [],
+      respawn: level.respawn ?? "checkpoint",
+      ...record.worldRuntime,
+    },
+    level,
+    loopHandle: null,
+    lastStepAt: 0,
+    accumulatorMs: 0,
+    inputQueues: {},
+    positionHistory: {},
+    spectators: {},
+    recording: null,
+    forceKeyframe: true,
+  };
+}
+
+// ---------------- Snapshots ----------------
+function levelDataPayload(room) {
+  const world = room.worldRuntime;
+  return {
+    world: room.world,
+    width: world.width,
+    groundY: world.groundY,
+    hasGlobalFloor: world.hasGlobalFloor,
+    stopOnRelease: world.stopOnRelease,
+    spawnPoints: world.spawnPoints,
+    platforms: world.platforms,
+    key: world.key,
+    door: world.door,
+    dangerButtons: world.dangerButtons,
+    movingPlatforms: world.movingPlatforms,
+    fallingPlatforms: world.fallingPlatforms,
+    plates: world.plates,
+    gates: world.gates,
+    checkpoints: world.checkpoints,
+    respawn: respawnModeFor(room),
+    viewport: viewportFor(room),
+  };
+}
+
+// Camera metadata: world coordinates never depend on the client, so a
+// client whose canvas is not `height` tall anchors the view at the bottom
+// and offsets everything by `height - canvasHeight`.
+function viewportFor(room) {
+  const world = room.worldRuntime;
+  const adjustable = Boolean(world.adjustableBaseY);
+  const floorY = adjustable ? room.world2BaseY : world.groundY;
+  return {
+    mode: adjustable ? (room.viewportMode ?? "legacy") : "fixed",
+    anchor: "bottom",
+    width: world.width,
+    height: floorY + VIEWPORT_FLOOR_MARGIN,
+    floorY,
+  };
+}
+
+function buildStateSnapshot(room) {
+  const world = room.worldRuntime;
+  const players = {};
+
+  for (const pid of room.playerOrder) {
+    if (!room.players[pid]) continue;
+    players[pid] = ensurePlayerState(room, pid);
+  }
+
+  room.gameState.players = players;
+
+  // Deep copy: the simulation keeps mutating these objects between ticks.
+  return JSON.parse(
+    JSON.stringify({
+      players,
+      keyCollected: Boolean(room.gameState.keyCollected),
+      playersAtDoor: Array.isArray(room.gameState.playersAtDoor)
+        ? room.gameState.playersAtDoor
+        : [],
+      gameStatus: room.started
+        ? room.gameState.gameStatus || "playing"
+        : "waiting",
+      world: room.world,
+      tick: room.tick,
+      checkpoint: room.gameState.checkpoint?.index ?? null,
+      runTicks: runTicks(room),
+      deaths: room.deaths.length,
+      lastProcessedInput: room.lastProcessedInput,
+      movingPlatforms: world.movingPlatforms.map((mp) => ({
+        x: mp.x,
+        direction: mp.direction,
+      })),
+      fallingPlatforms: world.fallingPlatforms.map((fp) => ({
+        y: fp.y,
+        falling: fp.falling,
+      })),
+      plates: world.plates.map((plate) => ({
+        weight: plate.weight,
+        timer: plate.timer,
+        active: plate.active,
+      })),
+      gates: world.gates.map((gate) => ({
+        x: gate.x,
+        y: gate.y,
+        open: gate.open,
+      })),
+    }),
+  );
+}
+
+// ---------------- Simulation ----------------
+function parseInputPayload(payload) {
+  const raw = payload?.input ?? payload?.keys ?? payload ?? {};
+  const seq = Number(payload?.seq);
+  const t = Number(payload?.t ?? payload?.timestamp);
+  return {
+    left: Boolean(raw.left),
+    right: Boolean(raw.right),
+    jump: Boolean(raw.jump),
+    ability: Boolean(raw.ability),
+    seq: Number.isSafeInteger(seq) && seq >= 0 ? seq : null,
+    t: Number.isFinite(t) ? t : null,
+  };
+}
+
+function queuePlayerInput(room, playerId, input) {
+  // Legacy clients without sequence numbers keep "latest input wins".
+  if (input.seq === null) {
+    room.inputQueues[playerId] = [];
+    room.inputs[playerId] = input;
+    return;
+  }
+
+  const queue = room.inputQueues[playerId] || [];
+  room.inputQueues[playerId] = queue;
+
+  const lastSeq = queue.length
+    ? queue[queue.length - 1].seq
+    : (room.lastProcessedInput[playerId] ?? -1);
+  if (input.seq <= lastSeq) return;
+
+  queue.push(input);
+  while (queue.length > INPUT_QUEUE_LIMIT) {
+    // Acknowledge dropped inputs so the client stops replaying them.
+    room.lastProcessedInput[playerId] = queue.shift().seq;
+  }
+}
+
+function nextPlayerInput(room, playerId) {
+  const queue = room.inputQueues[playerId];
+  if (queue && queue.length) {
+    const input = queue.shift();
+    room.inputs[playerId] = input;
+    room.lastProcessedInput[playerId] = input.seq;
+  }
+
+  return (
+    room.inputs[playerId] || {
+      left: false,
+      right: false,
+      jump: false,
+      ability: false,
+    }
+  );
+}
+
+function pushAside(room, mover, anchor, overlap) {
+  if (mover.x < anchor.x) mover.x -= overlap;
+  else mover.x += overlap;
+  mover.x = clamp(mover.x, 0, room.worldRuntime.width - mover.width);
+  mover.vx = 0;
+}
+
+function resolvePlayerCollisions(room, selfId) {
+  const self = room.gameState.players[selfId];
+  if (!self) return;
+
+  self.standingOnPlayer = null;
+
+  for (const [otherId, other] of Object.entries(room.gameState.players)) {
+    if (otherId === selfId || !other || other.dead) continue;
+    if (!intersects(self, other)) continue;
+
+    const overlapX1 = self.x + self.width - other.x;
+    const overlapX2 = other.x + other.width - self.x;
+    const overlapY1 = self.y + self.height - other.y;
+    const overlapY2 = other.y + other.height - self.y;
+
+    const minOverlapX = Math.min(overlapX1, overlapX2);
+    const minOverlapY = Math.min(overlapY1, overlapY2);
+
+    if (minOverlapX < minOverlapY) {
+      // Side collision: only one of the two moves, normally self, to avoid
+      // double-pushing states. A braced player holds its ground and the
+      // other one gives way instead.
+      if (!isBraced(self)) pushAside(room, self, other, minOverlapX);
+      else if (!isBraced(other)) pushAside(room, other, self, minOverlapX);
+      continue;
+    }
+
+    const selfPrevY = Number.isFinite(self.prevY) ? self.prevY : self.y;
+    const otherPrevY = Number.isFinite(other.prevY) ? other.prevY : other.y;
+    const selfBottom = self.y + self.height;
+    const otherBottom = other.y + other.height;
+    const selfPrevBottom = selfPrevY + self.height;
+    const otherPrevBottom = otherPrevY + other.height;
+
+    // One-way stacking: landing player stays on top, support player won't sink.
+    const landingOnOther =
+      self.vy >= 0 &&
+      self.y < other.y &&
+      selfPrevBottom <= other.y + 12 &&
+      selfBottom >= other.y;
+
+    if (landingOnOther) {
+      self.y = other.y - self.height;
+      self.vy = 0;
+      self.onGround = true;
+      self.standingOnPlayer = Number(other.id ?? otherId) || otherId;
+      continue;
+    }
+
+    // Hitting underside while jumping.
+    const hittingUnderOther =
+      self.vy < 0 && selfPrevY >= otherPrevBottom - 8 && self.y <= otherBottom;
+    if (hittingUnderOther) {
+      self.y = otherBottom;
+      self.vy = 0;
+      continue;
+    }
+
+    // Favor stable one-way stacking: do not push the lower player downward.
+    if (self.y < other.y) {
+      self.y = other.y - self.height;
+      self.vy = 0;
+      self.onGround = true;
+      self.standingOnPlayer = Number(other.id ?? otherId) || otherId;
+    }
+  }
+}
+
+function updateWorldRuntime(room) {
+  const world = room.worldRuntime;
+
+  world.movingPlatforms.forEach((mp) => {
+    const prevX = mp.x;
+    mp.x += mp.speed * mp.direction;
+    if (mp.x <= mp.startX || mp.x >= mp.endX) {
+      mp.direction *= -1;
+      mp.x = clamp(mp.x, mp.startX, mp.endX);
+    }
+    mp.deltaX = mp.x - prevX;
+  });
+
+  world.fallingPlatforms.forEach((fp) => {
+    if (fp.falling) {
+      fp.fallTimer += 1;
+      if (fp.fallTimer > 30) fp.y += 8;
+    }
+  });
+
+  const approach = (from, to, step) =>
+    from < to ? Math.min(to, from + step) : Math.max(to, from - step);
+  const players = Object.values(room.gameState.players).filter(
+    (p) => p && !p.dead,
+  );
+  world.gates.forEach((gate) => {
+    const next = {
+      ...gate,
+      x: approach(gate.x, gate.open ? gate.openX : gate.closedX, gate.speed),
+      y: approach(gate.y, gate.open ? gate.openY : gate.closedY, gate.speed),
+    };
+    // A closing gate waits rather than shutting on someone in its way.
+    if (!gate.open && players.some((p) => intersects(p, next))) return;
+    gate.x = next.x;
+    gate.y = next.y;
+  });
+}
+
+function platformListForCollisions(world) {
+  const visibleFalling = world.fallingPlatforms.filter(
+    (fp) => fp.y < world.groundY + 300,
+  );
+  return [
+    ...world.platforms,
+    ...world.movingPlatforms,
+    ...visibleFalling,
+    ...world.plates,
+    ...world.gates,
+  ];
+}
+
+function movingPlatformUnderPlayer(world, player) {
+  const playerBottom = player.y + player.height;
+  return world.movingPlatforms.find((mp) => {
+    // Be tolerant to small server tick drift so carry stays stable.
+    const standingOnTop =
+      playerBottom >= mp.y - 8 && playerBottom <= mp.y + 10 && player.vy >= -1;
+    const horizontalOverlap =
+      player.x + player.width > mp.x + 2 && player.x < mp.x + mp.width - 2;
+    return standingOnTop && horizontalOverlap;
+  });
+}
+
+// ---------------- Abilities ----------------
+// The ability fires on the tick its input flag goes down; holding it does
+// nothing more. Active abilities run for `abilityTicks`, and
+// `abilityCooldown` counts down to the next use.
+const isBraced = (player) =>
+  player.ability === "heavyStance" && player.abilityTicks > 0;
+
+function tickAbility(player) {
+  if (player.abilityCooldown > 0) player.abilityCooldown -= 1;
+  if (player.abilityTicks > 0) player.abilityTicks -= 1;
+}
+
+function triggerAbility(room, player, stats) {
+  const world = room.worldRuntime;
+
+  switch (stats.ability) {
+    case "doubleJump":
+      if (player.onGround || player.airJumps <= 0) return;
+      player.airJumps -= 1;
+      player.vy = world.jumpForce * stats.jumpForce;
+      return;
+
+    case "lift": {
+      if (player.abilityCooldown > 0 || !player.onGround) return;
+      player.abilityCooldown = stats.cooldownTicks;
+      for (const other of Object.values(room.gameState.players)) {
+        if (other.dead || other.standingOnPlayer !== player.id) continue;
+        if (isBraced(other)) continue;
+        other.vy = world.jumpForce * stats.liftForce;
+        other.onGround = false;
+        other.standingOnPlayer = null;
+      }
+      return;
+    }
+
+    case "heavyStance":
+    case "dash":
+      if (player.abilityCooldown > 0) return;
+      player.abilityTicks = stats.durationTicks;
+      player.abilityCooldown = stats.durationTicks + stats.cooldownTicks;
+      return;
+
+    default:
+  }
+}
+
+function applyPlayerStep(room, playerId) {
+  const world = room.worldRuntime;
+  const player = ensurePlayerState(room, playerId);
+  if (!player || player.dead) return;
+
+  const input = nextPlayerInput(room, playerId);
+  const stats = heroStats(player.hero);
+  const moveSpeed = world.moveSpeed * stats.moveSpeed;
+
+  tickAbility(player);
+  if (player.onGround) player.airJumps = stats.airJumps ?? 0;
+  if (input.ability && !player.abilityHeld) {
+    triggerAbility(room, player, stats);
+  }
+  player.abilityHeld = Boolean(input.ability);
+  const braced = isBraced(player);
+
+  if (braced) {
+    player.vx = 0;
+    player.animFrame = 0;
+  } else if (input.left) {
+    player.vx = -moveSpeed;
+    player.facingRight = false;
+    player.animFrame = (player.animFrame + 1) % 4;
+  } else if (input.right) {
+    player.vx = moveSpeed;
+    player.facingRight = true;
+    player.animFrame = (player.animFrame + 1) % 4;
+  } else {
+    player.vx = 0;
+    player.animFrame = 0;
+  }
+
+  if (stats.ability === "dash" && player.abilityTicks > 0) {
+    player.vx = (player.facingRight ? 1 : -1) * stats.dashSpeed;
+  }
+
+  if (input.jump && player.onGround && !braced) {
+    player.vy = world.jumpForce * stats.jumpForce;
+    player.onGround = false;
+  }
+
+  const plats = platformListForCollisions(world);
+
+  // Horizontal
+  const prevX = player.x;
+  player.x += player.vx;
+  player.x = clamp(player.x, 0, world.width - player.width);
+
+  for (const plat of plats) {
+    if (!intersects(player, plat)) continue;
+    if (player.vx > 0) player.x = plat.x - player.width;
+    else if (player.vx < 0) player.x = plat.x + plat.width;
+    else player.x = prevX;
+    player.vx = 0;
+  }
+
+  // Vertical
+  const prevY = player.y;
+  player.prevY = prevY;
+  const prevBottom = prevY + player.height;
+  player.vy += world.gravity;
+  player.vy = Math.min(player.vy, world.maxFallSpeed);
+  player.y += player.vy;
+  player.onGround = false;
+
+  for (const plat of plats) {
+    // A fast fall can carry the player clean through a thin platform
+    // between two ticks; crossing its top edge still counts as landing.
+    const crossedTop =
+      player.vy >= 0 &&
+      prevBottom <= plat.y &&
+      player.y + player.height >= plat.y &&
+      player.x + player.width > plat.x &&
+      player.x < plat.x + plat.width;
+    if (!crossedTop && !intersects(player, plat)) continue;
+
+    const currBottom = player.y + player.height;
+    const platTop = plat.y;
+    const platBottom = plat.y + plat.height;
+
+    if (prevBottom <= platTop && currBottom >= platTop && player.vy >= 0) {
+      player.y = platTop - player.height;
+      player.vy = 0;
+      player.onGround = true;
+
+      if ("falling" in plat && !plat.falling) {
+        plat.falling = true;
+        plat.fallTimer = 0;
+      }
+      continue;
+    }
+
+    if (prevY >= platBottom && player.y <= platBottom && player.vy < 0) {
+      player.y = platBottom;
+      player.vy = 0;
+    }
+  }
+
+  if (world.hasGlobalFloor && player.y + player.height >= world.groundY) {
+    player.y = world.groundY - player.height;
+    player.vy = 0;
+    player.onGround = true;
+  }
+
+  const carrier = movingPlatformUnderPlayer(world, player);
+  if (
+    player.onGround &&
+    !braced &&
+    carrier &&
+    Number.isFinite(carrier.deltaX)
+  ) {
+    player.x += carrier.deltaX;
+    player.x = clamp(player.x, 0, world.width - player.width);
+  }
+
+  if (player.y > world.groundY + 300) {
+    player.dead = true;
+    recordDeath(room, playerId, "fell");
+    room.gameState.gameStatus = "dead";
+    room.respawnAtTick = room.tick + RESPAWN_DELAY_TICKS;
+  }
+
+  resolvePlayerCollisions(room, playerId);
+}
+
+// ---------------- Run stats ----------------
+// Ticks since the round started; the run timer every client agrees on.
+function runTicks(room) {
+  return room.started ? room.tick - room.roundStartTick : 0;
+}
+
+function recordDeath(room, playerId, cause) {
+  room.deaths.push({ tick: runTicks(room), playerId, cause });
+}
+
+function deathsByCause(room) {
+  const counts = {};
+  for (const d of room.deaths) counts[d.cause] = (counts[d.cause] ?? 0) + 1;
+  return counts;
+}
+
+// ---------------- Position history ----------------
+// Each player's position at the end of the last POSITION_HISTORY_TICKS
+// ticks, oldest first. Teleports (respawns, base line changes) clear it so
+// no path is drawn across the jump.
+function recordPositions(room) {
+  for (const pid of room.playerOrder) {
+    const p = room.gameState.players[pid];
+    if (!room.players[pid] || !p || p.dead) continue;
+    const history = (room.positionHistory[pid] ??= []);
+    history.push({ tick: room.tick, x: p.x, y: p.y });
+    if (history.length > POSITION_HISTORY_TICKS) history.shift();
+  }
+}
+
+// Whether the player's movement over the last `ticks` ticks, up to where it
+// stands now, passed through `rect`.
+function touchedAlongPath(room, playerId, rect, ticks = 1) {
+  const p = room.gameState.players[playerId];
+  if (!p) return false;
+  if (intersects(p, rect)) return true;
+
+  const history = room.positionHistory[playerId] ?? [];
+  const path = [...history.slice(-Math.max(1, ticks)), p];
+  for (let i = 1; i < path.length; i++) {
+    const from = path[i - 1];
+    const to = path[i];
+    if (Math.hypot(to.x - from.x, to.y - from.y) > MAX_SWEEP_DISTANCE) {
+      continue;
+    }
+    if (sweptIntersects(from, to, p, rect)) return true;
+  }
+  return false;
+}
+
+// Pickups look this many extra ticks into the player's past so a touch the
+// server judged late still counts; set from measured latency, 0 disables.
+function setPlayerRewind(room, playerId, ticks) {
+  const clamped = clamp(Math.round(ticks) || 0, 0, POSITION_HISTORY_TICKS);
+  if (clamped) room.rewindTicks[playerId] = clamped;
+  else delete room.rewindTicks[playerId];
+}
+
+// ---------------- Plates and gates ----------------
+// Players standing on `plate`, plus everyone stacked on top of them.
+function plateWeight(room, plate, playerIds) {
+  const alive = playerIds
+    .map((pid) => room.gameState.players[pid])
+    .filter((p) => p && !p.dead);
+
+  const onPlate = new Set(
+    alive
+      .filter(
+        (p) =>
+          p.onGround &&
+          Math.abs(p.y + p.height - plate.y) <= 1 &&
+          p.x + p.width > plate.x &&
+          p.x < plate.x + plate.width,
+      )
+      .map((p) => p.id),
+  );
+
+  let grew = onPlate.size > 0;
+  while (grew) {
+    grew = false;
+    for (const p of alive) {
+      if (onPlate.has(p.id) || !onPlate.has(p.standingOnPlayer)) continue;
+      onPlate.add(p.id);
+      grew = true;
+    }
+  }
+  return onPlate.size;
+}
+
+function updatePlatesAndGates(room, playerIds) {
+  const world = room.worldRuntime;
+  const active = new Map();
+
+  for (const plate of world.plates) {
+    plate.weight = plateWeight(room, plate, playerIds);
+    const pressed = plate.weight >= plate.required;
+    if (pressed) plate.timer = plate.durationTicks;
+    plate.active = pressed || plate.timer > 0;
+    if (!pressed && plate.timer > 0) plate.timer -= 1;
+    active.set(plate.id, plate.active);
+  }
+
+  for (const gate of world.gates) {
+    gate.open = gate.plates.every((id) => active.get(id));
+  }
+}
+
+// ---------------- Checkpoints ----------------
+// The room's respawnMode overrides the level's; null follows the level.
+function respawnModeFor(room) {
+  return RESPAWN_MODES.includes(room.respawnMode)
+    ? room.respawnMode
+    : room.worldRuntime.respawn;
+}
+
+function activeSpawnPoints(room) {
+  const index = room.gameState.checkpoint?.index;
+  return (
+    room.worldRuntime.checkpoints[index]?.spawnPoints ??
+    room.worldRuntime.spawnPoints
+  );
+}
+
+// Checkpoints only ever move the team forward through the level's list.
+function activateCheckpoints(room, playerIds) {
+  if (respawnModeFor(room) === "reset") return;
+  const { checkpoints } = room.worldRuntime;
+  const current = room.gameState.checkpoint?.index ?? -1;
+
+  for (let i = checkpoints.length - 1; i > current; i--) {
+    const touched = playerIds.some((pid) => {
+      const p = room.gameState.players[pid];
+      return p && !p.dead && intersects(p, checkpoints[i]);
+    });
+    if (touched) {
+      room.gameState.checkpoint = {
+        index: i,
+        keyCollected: Boolean(room.gameState.keyCollected),
+      };
+      return;
+    }
+  }
+}
+
+function resetRoundAfterDeath(room) {
+  room.worldRuntime = cloneWorldRuntime(room.level, {
+    world2BaseY: room.world2BaseY,
+  });
+  room.positionHistory = {};
+  const checkpoint =
+    respawnModeFor(room) === "reset"
+      ? null
+      : (room.gameState.checkpoint ?? null);
+  room.gameState.checkpoint = checkpoint;
+  room.gameState.keyCollected = Boolean(checkpoint?.keyCollected);
+  room.gameState.playersAtDoor = [];
+  room.gameState.gameStatus = "playing";
+  room.forceKeyframe = true;
+
+  for (const pid of room.playerOrder) {
+    if (!room.players[pid]) continue;
+    const slot = playerIndexOf(room, pid);
+    room.gameState.players[pid] = createPlayerGameState(pid, slot, room);
+  }
+
+  room.respawnAtTick = 0;
+}
+
+function evaluateGameState(room) {
+  if (room.gameState.gameStatus === "dead") {
+    if (room.respawnAtTick && room.tick >= room.respawnAtTick) {
+      resetRoundAfterDeath(room);
+    }
+    return;
+  }
+
+  const world = room.worldRuntime;
+  const players = room.gameState.players;
+  const playerIds = room.playerOrder.filter((pid) => room.players[pid]);
+
+  if (!room.gameState.keyCollected) {
+    for (const pid of playerIds) {
+      const p = players[pid];
+      const lookback = 1 + (room.rewindTicks[pid] ?? 0);
+      if (p && !p.dead && touchedAlongPath(room, pid, world.key, lookback)) {
+        room.gameState.keyCollected = true;
+        break;
+      }
+    }
+  }
+
+  updatePlatesAndGates(room, playerIds);
+  activateCheckpoints(room, playerIds);
+
+  if (world.dangerButtons.length) {
+    for (const pid of playerIds) {
+      const p = players[pid];
+      if (!p || p.dead) continue;
+      const touchedDanger = world.dangerButtons.some((b) =>
+        touchedAlongPath(room, pid, b),
+      );
+      if (touchedDanger) {
+        recordDeath(room, pid, "dangerButton");
+        room.gameState.gameStatus = "dead";
+        room.respawnAtTick = room.tick + RESPAWN_DELAY_TICKS;
+        return;
+      }
+    }
+  }
+
+  if (room.gameState.keyCollected) {
+    const atDoor = [];
+    for (const pid of playerIds) {
+      const p = players[pid];
+      if (!p || p.dead) continue;
+      if (intersects(p, world.door)) atDoor.push(pid);
+    }
+
+    room.gameState.playersAtDoor = atDoor.map(
+      (pid) => Number(players[pid]?.id) || 0,
+    );
+
+    const requiredAtDoor =
+      world.doorRequirement === "all"
+        ? playerIds.length
+        : world.doorRequirement;
+    if (requiredAtDoor > 0 && atDoor.length >= requiredAtDoor) {
+      room.gameState.gameStatus = "won";
+      return;
+    }
+  }
+
+  room.gameState.gameStatus = "playing";
+}
+
+// Advances the room by exactly one fixed step. Reads nothing but the room
+// itself (no clock, no sockets), so it is deterministic.
+function stepRoom(room) {
+  room.tick += 1;
+
+  updateWorldRuntime(room);
+
+  for (const pid of room.playerOrder) {
+    if (!room.players[pid]) continue;
+    applyPlayerStep(room, pid);
+  }
+
+  evaluateGameState(room);
+  recordPositions(room);
+}
+
+function normalizeWorld2BaseYFromPayload(payload) {
+  const rawHeight = Number(
+    payload?.canvasHeight ?? payload?.viewportHeight ?? payload?.height,
+  );
+  if (!Number.isFinite(rawHeight) || rawHeight < 100) return null;
+  const baseY = Math.round(rawHeight) - VIEWPORT_FLOOR_MARGIN;
+  return clamp(baseY, 500, 1400);
+}
+
+function syncRoomWorld2Height(room, payload) {
+  if (!room || !room.worldRuntime?.adjustableBaseY) return false;
+  if (room.viewportMode === "fixed") return false;
+
+  const nextBaseY = normalizeWorld2BaseYFromPayload(payload);
+  if (!Number.isFinite(nextBaseY)) return false;
+
+  const prevBaseY = Number.isFinite(room.world2BaseY)
+    ? room.world2BaseY
+    : WORLD2_BASE_Y;
+
+  if (Math.abs(nextBaseY - prevBaseY) < 2) return false;
+
+  setRoomBaseY(room, nextBaseY);
+  return true;
+}
+
+function setRoomBaseY(room, nextBaseY) {
+  const prevGroundY = room.worldRuntime.groundY;
+  room.world2BaseY = nextBaseY;
+  room.worldRuntime = cloneWorldRuntime(room.level, {
+    world2BaseY: room.world2BaseY,
+  });
+  room.positionHistory = {};
+
+  const nextGroundY = room.worldRuntime.groundY;
+  const deltaY = nextGroundY - prevGroundY;
+
+  for (const p of Object.values(room.gameState.players || {})) {
+    if (!p) continue;
+    p.y += deltaY;
+    p.x = clamp(p.x, 0, room.worldRuntime.width - p.width);
+    if (p.y + p.height >= nextGroundY) {
+      p.y = nextGroundY - p.height;
+      p.vy = 0;
+      p.onGround = true;
+    }
+  }
+
+  room.forceKeyframe = true;
+}
+
+module.exports = {
+  TICK_RATE,
+  FIXED_STEP_MS,
+  LOOP_INTERVAL_MS,
+  isLateTick,
+  BASE_PHYSICS,
+  PLAYER_WIDTH,
+  PLAYER_HEIGHT,
+  BASE_HERO,
+  WORLD2_BASE_Y,
+  VIEWPORT_MODES,
+  POSITION_HISTORY_TICKS,
+  clamp,
+  intersects,
+  cloneWorldRuntime,
+  heroStats,
+  playerIndexOf,
+  createPlayerGameState,
+  ensurePlayerState,
+  createRoomState,
+  selectRoomLevel,
+  startRound,
+  addRoomPlayer,
+  removePlayerState,
+  serializeRoom,
+  restoreRoom,
+  levelDataPayload,
+  viewportFor,
+  buildStateSnapshot,
+  parseInputPayload,
+  queuePlayerInput,
+  nextPlayerInput,
+  resolvePlayerCollisions,
+  updateWorldRuntime,
+  platformListForCollisions,
+  movingPlatformUnderPlayer,
+  tickAbility,
+  triggerAbility,
+  applyPlayerStep,
+  runTicks,
+  recordDeath,
+  deathsByCause,
+  respawnModeFor,
+  activeSpawnPoints,
+  plateWeight,
+  updatePlatesAndGates,
+  activateCheckpoints,
+  sweptIntersects,
+  recordPositions,
+  touchedAlongPath,
+  setPlayerRewind,
+  resetRoundAfterDeath,
+  evaluateGameState,
+  stepRoom,
+  normalizeWorld2BaseYFromPayload,
+  syncRoomWorld2Height,
+  setRoomBaseY,
+};
@@ -0,0 +1,85 @@
+// ---------------- State deltas ----------------
+// A delta is a partial copy of the next state holding only what changed:
+// nested objects (and equal-length arrays of objects, keyed by index) are
+// patched recursively, every other changed value is sent whole, and keys
+// that disappeared are listed as paths in `removed`.
+
+const UNCHANGED = Symbol("unchanged");
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+function sameArray(a, b) {
+  return (
+    a.length === b.length &&
+    a.every((v, i) => diffValue(v, b[i], [], []) === UNCHANGED)
+  );
+}
+
+function diffObject(prev, next, path, removed) {
+  const changes = {};
+  let changed = false;
+
+  for (const [k, v] of Object.entries(next)) {
+    const d = diffValue(prev[k], v, [...path, k], removed);
+    if (d === UNCHANGED) continue;
+    changes[k] = d;
+    changed = true;
+  }
+
+  for (const k of Object.keys(prev)) {
+    if (!(k in next)) removed.push([...path, k]);
+  }
+
+  return changed ? changes : UNCHANGED;
+}
+
+function diffValue(prev, next, path, removed) {
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    return diffObject(prev, next, path, removed);
+  }
+
+  if (Array.isArray(prev) && Array.isArray(next)) {
+    if (prev.length === next.length && next.every(isPlainObject)) {
+      return diffObject({ ...prev }, { ...next }, path, removed);
+    }
+    return sameArray(prev, next) ? UNCHANGED : next;
+  }
+
+  return Object.is(prev, next) ? UNCHANGED : next;
+}
+
+function diffState(prev, next) {
+  const removed = [];
+  const changes = diffObject(prev, next, [], removed);
+  return {
+    changes: changes === UNCHANGED ? {} : changes,
+    removed,
+  };
+}
+
+function applyDelta(state, { changes, removed = [] }) {
+  const patch = (target, partial) => {
+    for (const [k, v] of Object.entries(partial)) {
+      if (isPlainObject(v) && target[k] && typeof target[k] === "object") {
+        patch(target[k], v);
+      } else {
+        target[k] = v;
+      }
+    }
+  };
+
+  patch(state, changes);
+
+  for (const p of removed) {
+    const parent = p.slice(0, -1).reduce((o, k) => o?.[k], state);
+    if (parent) delete parent[p[p.length - 1]];
+  }
+
+  return state;
+}
+
+module.exports = {
+  diffState,
+  applyDelta,
+};
@@ -0,0 +1,95 @@
+const fs = require("fs");
+const path = require("path");
+
+// ---------------- Room store ----------------
+// Stores hold the latest snapshot of every room as plain JSON records.
+// `load()` runs once at boot and is synchronous; `save()` is called
+// periodically and reports completion through a node-style callback.
+
+function createMemoryStore() {
+  let records = [];
+  return {
+    name: "memory",
+    load() {
+      return JSON.parse(JSON.stringify(records));
+    },
+    save(next, cb = () => {}) {
+      records = JSON.parse(JSON.stringify(next));
+      cb(null);
+    },
+  };
+}
+
+function createFileStore(dir, fileName = "rooms.json") {
+  const file = path.join(dir, fileName);
+  let writing = false;
+  let queued = null;
+
+  const flush = (next, cb) => {
+    writing = true;
+    const tmp = `${file}.tmp`;
+    const done = (err) => {
+      writing = false;
+      cb(err || null);
+      if (queued) {
+        const { records, cb: queuedCb } = queued;
+        queued = null;
+        flush(records, queuedCb);
+      }
+    };
+
+    fs.mkdir(dir, { recursive: true }, (mkErr) => {
+      if (mkErr) return done(mkErr);
+      fs.writeFile(
+        tmp,
+        JSON.stringify({ savedAt: Date.now(), rooms: next }),
+        (err) => {
+          if (err) return done(err);
+          // Rename is atomic, so a crash mid-write never leaves half a file.
+          fs.rename(tmp, file, done);
+        },
+      );
+    });
+  };
+
+  return {
+    name: "file",
+    load() {
+      try {
+        const data = JSON.parse(fs.readFileSync(file, "utf8"));
+        return Array.isArray(data?.rooms) ? data.rooms : [];
+      } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+        return [];
+      }
+    },
+    save(next, cb = () => {}) {
+      // Only the newest snapshot matters; drop any that were waiting.
+      if (writing) {
+        if (queued) queued.cb(null);
+        queued = { records: next, cb };
+        return;
+      }
+      flush(next, cb);
+    },
+  };
+}
+
+function createRoomStore(driver, options = {}) {
+  switch (String(driver || "file").toLowerCase()) {
+    case "none":
+      return null;
+    case "memory":
+      return createMemoryStore();
+    case "file":
+      return createFileStore(options.dir, options.file);
+    default:
+      throw new Error(`Unknown room store driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createRoomStore,
+};
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createCampaign,
+  currentCampaignLevel,
+  nextCampaignLevel,
+  recordLevelResult,
+  cancelLevelResult,
+  advanceCampaign,
+  campaignProgress,
+} = require("../src/campaign");
+
+test("a campaign advances through its worlds and totals the times", () => {
+  const campaign = createCampaign([1, 2]);
+  assert.equal(currentCampaignLevel(campaign), 1);
+  assert.equal(nextCampaignLevel(campaign), 2);
+
+  recordLevelResult(campaign, { world: 1, ticks: 300 }, 5000);
+  assert.equal(campaignProgress(campaign).advanceAt, 5000);
+  assert.equal(advanceCampaign(campaign), true);
+  assert.equal(currentCampaignLevel(campaign), 2);
+
+  recordLevelResult(campaign, { world: 2, ticks: 450 }, 9000);
+  assert.equal(advanceCampaign(campaign), false);
+  assert.deepEqual(campaignProgress(campaign), {
+    levels: [1, 2],
+    index: 1,
+    current: 2,
+    completed: [
+      { world: 1, ticks: 300 },
+      { world: 2, ticks: 450 },
+    ],
+    totalTicks: 750,
+    advanceAt: null,
+  });
+});
+
+test("restarting a just-won world drops its pending result", () => {
+  const campaign = createCampaign([1, 2]);
+  recordLevelResult(campaign, { world: 1, ticks: 300 }, 5000);
+
+  cancelLevelResult(campaign);
+  assert.deepEqual(campaign.results, []);
+  assert.equal(campaign.totalTicks, 0);
+
+  cancelLevelResult(campaign);
+  assert.equal(campaign.index, 0);
+});
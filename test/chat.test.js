@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  CHAT_HISTORY_SIZE,
+  CHAT_MAX_LENGTH,
+  sanitizeChatText,
+  appendChatMessage,
+  createRateLimiter,
+  parsePing,
+} = require("../src/chat");
+
+test("chat text loses control characters and is length-limited", () => {
+  assert.equal(sanitizeChatText("  hi\n\tthere\u0000 "), "hi there");
+  assert.equal(sanitizeChatText("x".repeat(500)).length, CHAT_MAX_LENGTH);
+  assert.equal(sanitizeChatText(undefined), "");
+});
+
+test("chat history keeps only the newest messages", () => {
+  const room = {};
+  for (let i = 0; i < CHAT_HISTORY_SIZE + 5; i++) {
+    appendChatMessage(room, { playerId: "a", name: "A", text: `m${i}` }, i);
+  }
+  assert.equal(room.chat.length, CHAT_HISTORY_SIZE);
+  assert.equal(room.chat[0].text, "m5");
+  assert.equal(room.chat.at(-1).id, CHAT_HISTORY_SIZE + 5);
+});
+
+test("the rate limiter refills once the window has passed", () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+  assert.equal(limiter.allow("a", 0), true);
+  assert.equal(limiter.allow("a", 10), true);
+  assert.equal(limiter.allow("a", 20), false);
+  assert.equal(limiter.allow("b", 20), true);
+  assert.equal(limiter.allow("a", 1001), true);
+});
+
+test("pings need a known kind and finite coordinates inside the world", () => {
+  const world = { width: 1000 };
+  assert.deepEqual(parsePing({ kind: "jump", x: 1200.4, y: 50.6 }, world), {
+    kind: "jump",
+    x: 1000,
+    y: 51,
+  });
+  assert.equal(parsePing({ kind: "dance", x: 1, y: 1 }, world), null);
+  assert.equal(parsePing({ kind: "wait", x: "a", y: 1 }, world), null);
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLocalBus, createRoomDirectory } = require("../src/cluster");
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test("room ownership replicates between nodes on the same bus", async () => {
+  const bus = createLocalBus();
+  const a = createRoomDirectory({ bus, nodeId: "a" });
+  const b = createRoomDirectory({ bus, nodeId: "b" });
+  await flush();
+
+  assert.equal(a.claim("ROOM"), true);
+  await flush();
+  assert.equal(b.ownerOf("ROOM"), "a");
+  assert.equal(b.isLocal("ROOM"), false);
+  assert.equal(b.claim("ROOM"), false);
+
+  b.release("ROOM");
+  await flush();
+  assert.equal(a.isLocal("ROOM"), true);
+
+  a.release("ROOM");
+  await flush();
+  assert.equal(b.has("ROOM"), false);
+});
+
+test("a node joining late learns existing rooms; a leaving node drops its rooms", async () => {
+  const bus = createLocalBus();
+  const a = createRoomDirectory({ bus, nodeId: "a" });
+  a.claim("ONE");
+  a.claim("TWO");
+  await flush();
+
+  const c = createRoomDirectory({ bus, nodeId: "c" });
+  await flush();
+  await flush();
+  assert.equal(c.size(), 2);
+  assert.equal(c.ownerOf("TWO"), "a");
+
+  bus.publish("directory", { type: "leave", from: "a" });
+  await flush();
+  assert.equal(c.size(), 0);
+});
+
+test("only rooms with a summary show up in the room list", async () => {
+  const bus = createLocalBus();
+  const a = createRoomDirectory({ bus, nodeId: "a" });
+  const b = createRoomDirectory({ bus, nodeId: "b" });
+  await flush();
+
+  a.claim("OPEN");
+  a.claim("SECRET");
+  a.update("OPEN", { roomCode: "OPEN", players: 1 });
+  b.update("OPEN", { roomCode: "OPEN", players: 99 });
+  await flush();
+
+  assert.deepEqual(b.list(), [{ roomCode: "OPEN", players: 1 }]);
+
+  a.update("OPEN", null);
+  await flush();
+  assert.deepEqual(b.list(), []);
+});
+
+test("crossing claims settle on the lower node id everywhere", async () => {
+  const bus = createLocalBus();
+  const lost = [];
+  const a = createRoomDirectory({ bus, nodeId: "a" });
+  const b = createRoomDirectory({
+    bus,
+    nodeId: "b",
+    onLost: (roomCode) => lost.push(roomCode),
+  });
+  const c = createRoomDirectory({ bus, nodeId: "c" });
+  await flush();
+
+  assert.equal(b.claim("SAME"), true);
+  assert.equal(a.claim("SAME"), true);
+  await flush();
+
+  for (const d of [a, b, c]) assert.equal(d.ownerOf("SAME"), "a");
+  assert.deepEqual(lost, ["SAME"]);
+
+  b.update("SAME", { roomCode: "SAME" });
+  await flush();
+  assert.deepEqual(c.list(), []);
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validatePayload, createEventGuard } = require("../src/guard");
+
+test("payloads are type-checked and stripped to known keys", () => {
+  assert.deepEqual(
+    validatePayload("playerInput", {
+      input: { left: true, right: 0, fly: true },
+      seq: 4,
+      canvasHeight: 900,
+      evil: { nested: true },
+    }),
+    { value: { canvasHeight: 900, input: { left: true, right: 0 }, seq: 4 } },
+  );
+
+  assert.match(
+    validatePayload("playerInput", { seq: -1 }).error,
+    /seq must be at least 0/,
+  );
+  assert.match(
+    validatePayload("createRoom", { maxPlayers: 9 }).error,
+    /maxPlayers/,
+  );
+  assert.match(validatePayload("joinRoom", {}).error, /roomCode is required/);
+  assert.match(validatePayload("setReady", "yes").error, /must be an object/);
+  assert.deepEqual(validatePayload("startGameNow", { junk: 1 }), {
+    value: undefined,
+  });
+});
+
+test("numeric strings and numbers are taken the way older clients send them", () => {
+  assert.deepEqual(validatePayload("createRoom", { maxPlayers: "4" }), {
+    value: { maxPlayers: 4 },
+  });
+  assert.deepEqual(validatePayload("joinRoom", { roomCode: 12345 }), {
+    value: { roomCode: "12345" },
+  });
+  assert.match(
+    validatePayload("createRoom", { maxPlayers: "four" }).error,
+    /maxPlayers must be a number/,
+  );
+  assert.match(
+    validatePayload("createRoom", { maxPlayers: "" }).error,
+    /maxPlayers must be a number/,
+  );
+  assert.match(
+    validatePayload("createRoom", { maxPlayers: "9" }).error,
+    /maxPlayers must be at most 4/,
+  );
+});
+
+test("token buckets throttle each event separately and refill over time", () => {
+  const guard = createEventGuard({
+    limits: { chatMessage: { rate: 1, burst: 2 } },
+  });
+  const state = guard.createSocketState();
+  const chat = (now) => guard.check(state, "chatMessage", { text: "hi" }, now);
+
+  assert.equal(chat(0).ok, true);
+  assert.equal(chat(0).ok, true);
+  assert.equal(chat(0).code, "rate_limited");
+  assert.equal(guard.check(state, "setReady", {}, 0).ok, true);
+  assert.equal(chat(1000).ok, true);
+
+  const stats = guard.stats();
+  assert.equal(stats.rateLimited, 1);
+  assert.equal(stats.byEvent.chatMessage.accepted, 3);
+});
+
+test("repeated violations flag the socket as abusive", () => {
+  const guard = createEventGuard({ abuseThreshold: 3, abuseWindowMs: 1000 });
+  const state = guard.createSocketState();
+
+  assert.equal(guard.check(state, "nope", {}, 0).abusive, false);
+  assert.equal(guard.check(state, "joinRoom", {}, 0).abusive, false);
+  assert.equal(guard.check(state, "nope", {}, 2000).abusive, false);
+  assert.equal(guard.check(state, "nope", {}, 2001).abusive, false);
+  assert.equal(guard.check(state, "nope", {}, 2002).abusive, true);
+  assert.equal(guard.stats().abuseDisconnects, 1);
+});
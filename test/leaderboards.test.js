@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  buildLeaderboard,
+  createRunStore,
+  rankRun,
+} = require("../src/leaderboards");
+
+const run = (world, teamSize, ticks, deaths = 0, finishedAt = 0) => ({
+  world,
+  teamSize,
+  ticks,
+  deaths,
+  finishedAt,
+});
+
+test("boards keep the best runs per team size", () => {
+  const runs = [
+    run(1, 2, 900),
+    run(1, 2, 600, 3),
+    run(1, 2, 600, 1),
+    run(1, 1, 400),
+    run(2, 2, 100),
+  ];
+
+  const board = buildLeaderboard(runs, 1, 2);
+  assert.deepEqual(Object.keys(board), ["1", "2"]);
+  assert.deepEqual(board[2], [run(1, 2, 600, 1), run(1, 2, 600, 3)]);
+  assert.deepEqual(board[1], [run(1, 1, 400)]);
+
+  assert.equal(rankRun(runs, run(1, 2, 700)), 3);
+  assert.equal(rankRun(runs, run(1, 1, 300)), 1);
+});
+
+const done = (fn) =>
+  new Promise((resolve, reject) =>
+    fn((err) => (err ? reject(err) : resolve())),
+  );
+
+test("the run store only reads the file on refresh", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "runs-"));
+  const file = path.join(dir, "runs.jsonl");
+  const store = createRunStore(dir);
+  await done((cb) => store.refresh(cb));
+  assert.deepEqual(store.runs(), []);
+
+  await done((cb) => store.append(run(1, 1, 500), cb));
+  assert.deepEqual(store.runs(), []);
+  fs.appendFileSync(file, '{"world":1,"tea');
+  await done((cb) => store.refresh(cb));
+  assert.deepEqual(store.runs(), [run(1, 1, 500)]);
+
+  // The rest of a line that was still being written turns up later.
+  fs.appendFileSync(file, 'mSize":2,"ticks":300,"deaths":0,"finishedAt":0}\n');
+  store.refresh();
+  await done((cb) => store.refresh(cb));
+  assert.deepEqual(store.runs(), [run(1, 1, 500), run(1, 2, 300)]);
+
+  // A second store, as on another cluster worker, reads the same file.
+  const other = createRunStore(dir);
+  await done((cb) => other.refresh(cb));
+  assert.deepEqual(other.leaderboard(1), {
+    1: [run(1, 1, 500)],
+    2: [run(1, 2, 300)],
+  });
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadLevels, validateLevelDefinition } = require("../src/levels");
+
+test("every shipped level is valid", () => {
+  const { levels, report } = loadLevels(path.join(__dirname, "..", "levels"));
+  assert.deepEqual(report, []);
+  assert.ok(levels.has(1));
+  assert.ok(levels.has(2));
+});
+
+test("invalid level files are rejected with their errors", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "levels-"));
+  const good = fs.readFileSync(
+    path.join(__dirname, "..", "levels", "map1.json"),
+  );
+  fs.writeFileSync(path.join(dir, "a.json"), good);
+  fs.writeFileSync(path.join(dir, "b.json"), good);
+  fs.writeFileSync(path.join(dir, "c.json"), "{ not json");
+
+  const { levels, report } = loadLevels(dir);
+
+  assert.deepEqual([...levels.keys()], [1]);
+  assert.deepEqual(
+    report.map((r) => r.file),
+    ["b.json", "c.json"],
+  );
+  assert.match(report[0].errors[0], /id 1 is already used by a\.json/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("validation reports each broken field", () => {
+  const errors = validateLevelDefinition({
+    id: 3,
+    width: 100,
+    groundY: 50,
+    spawnPoints: [{ x: 0, y: 0 }],
+    platforms: [{ x: 0, y: 0, width: -1, height: 20 }],
+    key: { x: 0, y: 0, width: 10, height: 10 },
+    door: { x: 0, y: 0, width: 10, height: 10 },
+    physics: { gravity: "high" },
+    doorRequirement: 0,
+  });
+
+  assert.deepEqual(errors, [
+    "physics.gravity must be a number",
+    'doorRequirement must be a positive integer or "all"',
+    "platforms[0].width must be a positive number",
+  ]);
+});
+
+test("checkpoints need a rectangle and their own spawn points", () => {
+  const errors = validateLevelDefinition({
+    id: 4,
+    width: 100,
+    groundY: 50,
+    spawnPoints: [{ x: 0, y: 0 }],
+    platforms: [],
+    checkpoints: [
+      { x: 10, y: 0, width: 10, height: 10, spawnPoints: [{ x: 10 }] },
+      { x: 20, y: 0, width: 10, height: 10 },
+    ],
+    respawn: "never",
+    key: { x: 0, y: 0, width: 10, height: 10 },
+    door: { x: 0, y: 0, width: 10, height: 10 },
+  });
+
+  assert.deepEqual(errors, [
+    "respawn must be one of: checkpoint, reset",
+    "checkpoints[0].spawnPoints[0] must have numeric x and y",
+    "checkpoints[1].spawnPoints must be a non-empty array",
+  ]);
+});
+
+test("gates must point at plates that exist", () => {
+  const errors = validateLevelDefinition({
+    id: 5,
+    width: 100,
+    groundY: 50,
+    spawnPoints: [{ x: 0, y: 0 }],
+    platforms: [],
+    plates: [
+      { id: "a", x: 0, y: 0, width: 10, height: 10, required: 0 },
+      { id: "a", x: 0, y: 0, width: 10, height: 10 },
+    ],
+    gates: [{ x: 0, y: 0, width: 10, height: 10, plates: ["a", "b"] }],
+    key: { x: 0, y: 0, width: 10, height: 10 },
+    door: { x: 0, y: 0, width: 10, height: 10 },
+  });
+
+  assert.deepEqual(errors, [
+    "plates[0].required must be a positive integer",
+    'plates[1].id "a" is already used',
+    'gates[0].plates refers to unknown plate "b"',
+  ]);
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLogger } = require("../src/logger");
+
+function capture(level) {
+  const lines = [];
+  const log = createLogger({
+    level,
+    context: { node: "n1" },
+    write: (lvl, line) => lines.push(JSON.parse(line)),
+    now: () => new Date(0),
+  });
+  return { log, lines };
+}
+
+test("log lines carry level, time, context and fields", () => {
+  const { log, lines } = capture("info");
+  const roomLog = log.child({ roomCode: "ABCDE", playerId: null });
+
+  roomLog.info("room created", { maxPlayers: 2 });
+  roomLog.error("joinRoom error", { err: new Error("boom") });
+
+  assert.deepEqual(lines[0], {
+    time: "1970-01-01T00:00:00.000Z",
+    level: "info",
+    msg: "room created",
+    node: "n1",
+    roomCode: "ABCDE",
+    maxPlayers: 2,
+  });
+  assert.equal(lines[1].err.message, "boom");
+  assert.match(lines[1].err.stack, /Error: boom/);
+});
+
+test("LOG_LEVEL drops quieter lines and defaults to info", () => {
+  const warn = capture("warn");
+  warn.log.info("skipped");
+  warn.log.warn("kept");
+  assert.deepEqual(
+    warn.lines.map((l) => l.msg),
+    ["kept"],
+  );
+
+  const fallback = capture("chatty");
+  fallback.log.debug("skipped");
+  fallback.log.info("kept");
+  assert.deepEqual(
+    fallback.lines.map((l) => l.msg),
+    ["kept"],
+  );
+
+  const silent = capture("silent");
+  silent.log.error("skipped");
+  assert.deepEqual(silent.lines, []);
+});
@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createMetrics } = require("../src/metrics");
+
+test("metrics render in the text exposition format", () => {
+  const metrics = createMetrics();
+  const events = metrics.counter("events_total", "Events seen");
+  const sizes = metrics.histogram("size_bytes", "Sizes", [10, 100]);
+  metrics.gauge("rooms", "Rooms", () => 3);
+
+  events.inc({ event: "join" });
+  events.inc({ event: "join" }, 2);
+  events.inc({ event: 'say "hi"' });
+  sizes.observe(5);
+  sizes.observe(50);
+  sizes.observe(500);
+
+  assert.equal(
+    metrics.render(),
+    [
+      "# HELP events_total Events seen",
+      "# TYPE events_total counter",
+      'events_total{event="join"} 3',
+      'events_total{event="say \\"hi\\""} 1',
+      "# HELP size_bytes Sizes",
+      "# TYPE size_bytes histogram",
+      'size_bytes_bucket{le="10"} 1',
+      'size_bytes_bucket{le="100"} 2',
+      'size_bytes_bucket{le="+Inf"} 3',
+      "size_bytes_sum 555",
+      "size_bytes_count 3",
+      "# HELP rooms Rooms",
+      "# TYPE rooms gauge",
+      "rooms 3",
+      "",
+    ].join("\n"),
+  );
+
+  assert.throws(() => metrics.counter("rooms", "again"), /already exists/);
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { loadLevels } = require("../src/levels");
+const {
+  createRoomState,
+  addRoomPlayer,
+  startRound,
+  removePlayerState,
+  resetRoundAfterDeath,
+  stepRoom,
+} = require("../src/simulation");
+const {
+  startRecording,
+  recordTick,
+  recordEvent,
+  finishRecording,
+  createReplayCursor,
+  stepReplay,
+} = require("../src/replays");
+
+const { levels } = loadLevels(path.join(__dirname, "..", "levels"));
+
+test("playing a recording back reproduces the run", () => {
+  const room = createRoomState({
+    roomCode: "REC",
+    maxPlayers: 4,
+    hostId: "a",
+    level: levels.get(1),
+  });
+  addRoomPlayer(room, "b");
+  addRoomPlayer(room, "c");
+  startRound(room);
+
+  const rec = startRecording(room);
+  for (let i = 0; i < 400; i++) {
+    room.inputs.a = { left: false, right: i % 50 < 40, jump: i % 30 === 0 };
+    room.inputs.b = { left: i % 70 > 60, right: true, jump: i % 45 === 3 };
+    if (room.players.c)
+      room.inputs.c = { left: true, right: false, jump: false };
+    if (i === 120) {
+      recordEvent(rec, room, "leave", "c");
+      removePlayerState(room, "c");
+    }
+    stepRoom(room);
+    recordTick(rec, room);
+  }
+
+  const replay = JSON.parse(JSON.stringify(finishRecording(rec, "test")));
+  const cursor = createReplayCursor(replay);
+  let ticks = 0;
+  while (stepReplay(replay, cursor)) ticks += 1;
+
+  assert.equal(ticks, 400);
+  assert.deepEqual(cursor.room.gameState, room.gameState);
+  assert.deepEqual(cursor.room.worldRuntime, room.worldRuntime);
+  assert.ok(replay.inputs.length < 400);
+});
+
+test("a reset forced mid-run plays back at the same tick", () => {
+  const room = createRoomState({
+    roomCode: "RST",
+    maxPlayers: 2,
+    hostId: "a",
+    level: levels.get(1),
+  });
+  startRound(room);
+
+  const rec = startRecording(room);
+  for (let i = 0; i < 120; i++) {
+    room.inputs.a = { left: false, right: true, jump: i % 20 === 0 };
+    if (i === 80) {
+      recordEvent(rec, room, "reset");
+      resetRoundAfterDeath(room);
+    }
+    stepRoom(room);
+    recordTick(rec, room);
+  }
+
+  const replay = JSON.parse(JSON.stringify(finishRecording(rec, "test")));
+  const cursor = createReplayCursor(replay);
+  while (stepReplay(replay, cursor));
+
+  assert.deepEqual(cursor.room.gameState, room.gameState);
+});
@@ -0,0 +1,394 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { io } = require("socket.io-client");
+
+// One real server per file, started as a child process; every test works in
+// rooms of its own.
+let server;
+let url;
+let dir;
+const clients = [];
+const ADMIN_TOKEN = "test-admin";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+test.before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "server-"));
+  // The shipped levels plus "sprint", where the key and door sit on the
+  // spawn points so a lone player wins as soon as the round starts.
+  const levelsDir = path.join(dir, "levels");
+  fs.cpSync(path.join(__dirname, "..", "levels"), levelsDir, {
+    recursive: true,
+  });
+  const base = JSON.parse(
+    fs.readFileSync(path.join(levelsDir, "map1.json"), "utf8"),
+  );
+  const onSpawn = { x: 60, y: 560, width: 400, height: 100 };
+  fs.writeFileSync(
+    path.join(levelsDir, "sprint.json"),
+    JSON.stringify({
+      ...base,
+      id: 99,
+      aliases: [],
+      doorRequirement: 1,
+      name: "sprint",
+      key: onSpawn,
+      door: onSpawn,
+    }),
+  );
+
+  const port = await freePort();
+  url = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, [path.join(__dirname, "..", "index.js")], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      ROOM_STORE: "none",
+      STORE_DIR: dir,
+      REPLAY_DIR: dir,
+      LEVELS_DIR: levelsDir,
+      ADMIN_TOKEN,
+      DISCONNECT_GRACE_MS: "100",
+      SHUTDOWN_COUNTDOWN_MS: "0",
+      LOG_LEVEL: "info",
+    },
+    stdio: ["ignore", "pipe", "ignore"],
+  });
+
+  await new Promise((resolve, reject) => {
+    let out = "";
+    const onData = (chunk) => {
+      out += chunk;
+      if (!out.includes('"server listening"')) return;
+      server.stdout.off("data", onData);
+      server.stdout.resume();
+      resolve();
+    };
+    server.once("exit", (code) => reject(new Error(`server exited ${code}`)));
+    server.stdout.on("data", onData);
+  });
+});
+
+test.after(() => {
+  for (const socket of clients) socket.close();
+  server.kill();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// The next `event` on the socket that passes `match`, or a rejection if it
+// doesn't come.
+function next(socket, event, match = () => true, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`no ${event} within ${timeoutMs}ms`));
+    }, timeoutMs);
+    const onEvent = (payload) => {
+      if (!match(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, onEvent);
+      resolve(payload);
+    };
+    socket.on(event, onEvent);
+  });
+}
+
+// Emits `event` and waits for `reply`, listening before anything is sent.
+function request(socket, event, payload, reply) {
+  const answer = next(socket, reply);
+  socket.emit(event, payload);
+  return answer;
+}
+
+// Presenting an earlier session's token comes back as the same player.
+async function connect(token) {
+  const socket = io(url, {
+    transports: ["websocket"],
+    reconnection: false,
+    auth: token ? { token } : {},
+  });
+  clients.push(socket);
+  const session = await next(socket, "session");
+  return { socket, ...session };
+}
+
+async function joinAs(roomCode, token) {
+  const player = await connect(token);
+  await request(player.socket, "joinRoom", { roomCode }, "joinSuccess");
+  return player;
+}
+
+async function api(method, route) {
+  const res = await fetch(url + route, {
+    method,
+    headers: { authorization: `Bearer ${ADMIN_TOKEN}` },
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function startRound(host) {
+  host.socket.emit("selectHero", { hero: "dasher" });
+  host.socket.emit("setReady", { ready: true });
+  await request(host.socket, "startGameNow", null, "startGame");
+}
+
+async function hostRoom(payload = {}) {
+  const host = await connect();
+  const { roomCode } = await request(
+    host.socket,
+    "createRoom",
+    { maxPlayers: 2, ...payload },
+    "joinSuccess",
+  );
+  return { ...host, roomCode };
+}
+
+// ---------------- Spectators ----------------
+test("spectators watch a room without taking a player slot", async () => {
+  const host = await hostRoom({ maxPlayers: 2 });
+  const watcher = await connect();
+
+  const roomState = next(
+    host.socket,
+    "roomState",
+    (state) => state.spectators > 0,
+  );
+  const joined = await request(
+    watcher.socket,
+    "spectateRoom",
+    { roomCode: host.roomCode, follow: host.playerId },
+    "spectateSuccess",
+  );
+  assert.equal(joined.roomCode, host.roomCode);
+  assert.equal(joined.follow, host.playerId);
+
+  const state = await roomState;
+  assert.equal(state.spectators, 1);
+  assert.deepEqual(Object.keys(state.players), [host.playerId]);
+
+  const second = await connect();
+  await request(
+    second.socket,
+    "joinRoom",
+    { roomCode: host.roomCode },
+    "joinSuccess",
+  );
+
+  const third = await connect();
+  const denied = await request(
+    third.socket,
+    "joinRoom",
+    { roomCode: host.roomCode },
+    "joinDenied",
+  );
+  assert.equal(denied.message, "Room full");
+});
+
+test("a spectator only follows players who are in the room", async () => {
+  const host = await hostRoom();
+  const watcher = await connect();
+  const joined = await request(
+    watcher.socket,
+    "spectateRoom",
+    { roomCode: host.roomCode, follow: "nobody" },
+    "spectateSuccess",
+  );
+  assert.equal(joined.follow, null);
+
+  const followed = await request(
+    watcher.socket,
+    "followPlayer",
+    { playerId: host.playerId },
+    "followChanged",
+  );
+  assert.equal(followed.playerId, host.playerId);
+
+  const cleared = await request(
+    watcher.socket,
+    "followPlayer",
+    { playerId: "nobody" },
+    "followChanged",
+  );
+  assert.equal(cleared.playerId, null);
+});
+
+test("spectators are told when the room closes", async () => {
+  const host = await hostRoom();
+  const watcher = await connect();
+  await request(
+    watcher.socket,
+    "spectateRoom",
+    { roomCode: host.roomCode, follow: host.playerId },
+    "spectateSuccess",
+  );
+
+  const ended = next(watcher.socket, "spectateEnded");
+  host.socket.close();
+  assert.deepEqual(await ended, { message: "Room closed" });
+
+  const denied = await request(
+    watcher.socket,
+    "spectateRoom",
+    { roomCode: host.roomCode },
+    "spectateDenied",
+  );
+  assert.equal(denied.message, "Room not found");
+});
+
+// ---------------- Moderation ----------------
+test("only the host can kick, and a kicked player may come back", async () => {
+  const host = await hostRoom({ maxPlayers: 3 });
+  const guest = await joinAs(host.roomCode);
+  const other = await joinAs(host.roomCode);
+
+  const denied = await request(
+    guest.socket,
+    "kickPlayer",
+    { playerId: other.playerId },
+    "kickDenied",
+  );
+  assert.equal(denied.message, "Only host can do that");
+
+  const self = await request(
+    host.socket,
+    "kickPlayer",
+    { playerId: host.playerId },
+    "kickDenied",
+  );
+  assert.equal(self.message, "Cannot target yourself");
+
+  const kicked = next(guest.socket, "kicked");
+  const removed = next(
+    host.socket,
+    "roomState",
+    (state) => !state.players[guest.playerId],
+  );
+  host.socket.emit("kickPlayer", { playerId: guest.playerId });
+  assert.deepEqual(await kicked, {
+    roomCode: host.roomCode,
+    message: "Kicked by host",
+  });
+  assert.ok((await removed).players[other.playerId]);
+
+  await request(
+    guest.socket,
+    "joinRoom",
+    { roomCode: host.roomCode },
+    "joinSuccess",
+  );
+});
+
+test("a banned session can neither rejoin nor spectate", async () => {
+  const host = await hostRoom();
+  const guest = await joinAs(host.roomCode);
+
+  const kicked = next(guest.socket, "kicked");
+  host.socket.emit("banPlayer", { playerId: guest.playerId });
+  assert.equal((await kicked).message, "Banned by host");
+
+  const again = await connect(guest.token);
+  assert.equal(again.playerId, guest.playerId);
+  const denied = await request(
+    again.socket,
+    "joinRoom",
+    { roomCode: host.roomCode },
+    "joinDenied",
+  );
+  assert.equal(denied.message, "Banned from this room");
+
+  const watching = await request(
+    again.socket,
+    "spectateRoom",
+    { roomCode: host.roomCode },
+    "spectateDenied",
+  );
+  assert.equal(watching.message, "Banned from this room");
+
+  // Bans follow the session token; a fresh session is a new player.
+  await joinAs(host.roomCode);
+});
+
+test("a locked room only lets its own players back in", async () => {
+  const host = await hostRoom({ maxPlayers: 3 });
+  const guest = await joinAs(host.roomCode);
+
+  const locked = next(host.socket, "roomState", (state) => state.locked);
+  host.socket.emit("lockRoom", { locked: true });
+  await locked;
+
+  const stranger = await connect();
+  const denied = await request(
+    stranger.socket,
+    "joinRoom",
+    { roomCode: host.roomCode },
+    "joinDenied",
+  );
+  assert.equal(denied.message, "Room is locked");
+
+  guest.socket.close();
+  await joinAs(host.roomCode, guest.token);
+});
+
+// ---------------- Rounds ----------------
+test("starting again mid-round is refused", async () => {
+  const host = await hostRoom({ maxPlayers: 1 });
+  await startRound(host);
+
+  const denied = await request(
+    host.socket,
+    "startGameNow",
+    null,
+    "startDenied",
+  );
+  assert.equal(denied.message, "Game already started");
+});
+
+// ---------------- Admin ----------------
+test("a won round can't be reset into a second run", async () => {
+  const host = await hostRoom({ maxPlayers: 1, world: "sprint" });
+  const won = next(host.socket, "runComplete");
+  await startRound(host);
+  assert.equal((await won).rank, 1);
+
+  const reset = await api("POST", `/admin/rooms/${host.roomCode}/reset`);
+  assert.deepEqual(reset, {
+    status: 409,
+    body: { error: "Round already won" },
+  });
+
+  await assert.rejects(next(host.socket, "runComplete", () => true, 500));
+  const { body } = await api("GET", "/leaderboards/sprint");
+  assert.equal(body.teams[1].length, 1);
+});
+
+test("rooms are listed compactly unless full state is asked for", async () => {
+  const host = await hostRoom();
+  const find = ({ body }) =>
+    body.rooms.find((room) => room.roomCode === host.roomCode);
+
+  const compact = find(await api("GET", "/admin/rooms"));
+  assert.deepEqual(
+    compact.players.map((p) => p.playerId),
+    [host.playerId],
+  );
+  assert.equal(compact.state, undefined);
+
+  const full = find(await api("GET", "/admin/rooms?full=1"));
+  assert.equal(full.state.roomCode, host.roomCode);
+  assert.equal(full.state.gameState.gameStatus, "waiting");
+  assert.ok(full.state.players[host.playerId]);
+});
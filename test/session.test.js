@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SESSION_TTL_MS,
+  createSessionToken,
+  verifySessionToken,
+} = require("../src/session");
+
+const SECRET = "test-secret";
+
+test("a session token round-trips to the player id it was issued for", () => {
+  const token = createSessionToken("player-1", SECRET, 1000);
+  assert.deepEqual(verifySessionToken(token, SECRET, 2000), {
+    playerId: "player-1",
+    issuedAt: 1000,
+  });
+});
+
+test("forged, re-signed and expired tokens are rejected", () => {
+  const token = createSessionToken("player-1", SECRET, 1000);
+  const [, sig] = token.split(".");
+  const forged = `${Buffer.from(
+    JSON.stringify({ pid: "player-2", iat: 1000 }),
+  ).toString("base64url")}.${sig}`;
+
+  assert.equal(verifySessionToken(forged, SECRET, 2000), null);
+  assert.equal(verifySessionToken(token, "other-secret", 2000), null);
+  assert.equal(verifySessionToken(token, SECRET, 1001 + SESSION_TTL_MS), null);
+  assert.equal(verifySessionToken("garbage", SECRET), null);
+  assert.equal(verifySessionToken(undefined, SECRET), null);
+});
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SHUTDOWN_CLOSE_MS,
+  planShutdown,
+  createShutdown,
+} = require("../src/shutdown");
+
+const silent = { info() {}, warn() {}, error() {} };
+
+// Timers that only fire when the test advances the clock.
+function fakeClock() {
+  let now = 0;
+  let timers = [];
+  return {
+    now: () => now,
+    setTimer(fn, ms) {
+      const timer = { fn, at: now + ms };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimer(timer) {
+      timers = timers.filter((t) => t !== timer);
+    },
+    advance(ms) {
+      now += ms;
+      for (const t of timers.filter((t) => t.at <= now)) {
+        timers = timers.filter((x) => x !== t);
+        t.fn();
+      }
+    },
+  };
+}
+
+function harness({ rooms = 1, clients = 1, draining = false, stop } = {}) {
+  const clock = fakeClock();
+  const calls = { announced: [], stopped: 0, exits: [] };
+  const shutdown = createShutdown({
+    countdownMs: 10000,
+    deadlineMs: 30000,
+    state: () => ({ rooms, clients, draining }),
+    announce: (at) => calls.announced.push(at),
+    stop:
+      stop ??
+      ((done) => {
+        calls.stopped += 1;
+        done();
+      }),
+    exit: (code) => calls.exits.push(code),
+    log: silent,
+    setTimer: clock.setTimer,
+    clearTimer: clock.clearTimer,
+    now: clock.now,
+  });
+  return { clock, calls, shutdown };
+}
+
+test("the countdown only runs when someone is there to see it", () => {
+  const base = { countdownMs: 10000, deadlineMs: 30000, draining: false };
+  assert.deepEqual(planShutdown({ ...base, rooms: 2, clients: 3 }), {
+    waitForRooms: false,
+    stopAfterMs: 10000,
+  });
+  assert.equal(planShutdown({ ...base, rooms: 0, clients: 0 }).stopAfterMs, 0);
+  assert.equal(
+    planShutdown({ ...base, rooms: 1, clients: 1, deadlineMs: 5000 })
+      .stopAfterMs,
+    5000 - SHUTDOWN_CLOSE_MS,
+  );
+  assert.deepEqual(
+    planShutdown({ ...base, draining: true, rooms: 1, clients: 1 }),
+    { waitForRooms: true, stopAfterMs: 30000 - SHUTDOWN_CLOSE_MS },
+  );
+});
+
+test("rooms stop when the countdown ends and a second signal changes nothing", () => {
+  const { clock, calls, shutdown } = harness();
+  assert.equal(shutdown.started(), false);
+  assert.equal(shutdown.begin("SIGTERM"), true);
+  assert.equal(shutdown.begin("SIGINT"), false);
+  assert.equal(shutdown.started(), true);
+  assert.deepEqual(calls.announced, [10000]);
+
+  clock.advance(9999);
+  assert.equal(calls.stopped, 0);
+  clock.advance(1);
+  assert.equal(calls.stopped, 1);
+  assert.deepEqual(calls.exits, [0]);
+});
+
+test("a stop that hangs is cut off at the deadline", () => {
+  const { clock, calls, shutdown } = harness({ stop: () => {} });
+  shutdown.begin("SIGTERM");
+
+  clock.advance(29999);
+  assert.deepEqual(calls.exits, []);
+  clock.advance(1);
+  assert.deepEqual(calls.exits, [1]);
+});
+
+test("a draining node stops as soon as its last room closes", () => {
+  const { clock, calls, shutdown } = harness({ draining: true });
+  shutdown.begin("SIGTERM");
+  assert.deepEqual(calls.announced, [30000 - SHUTDOWN_CLOSE_MS]);
+
+  clock.advance(5000);
+  assert.equal(calls.stopped, 0);
+  shutdown.roomsEmpty();
+  assert.equal(calls.stopped, 1);
+  assert.deepEqual(calls.exits, [0]);
+
+  clock.advance(30000);
+  shutdown.roomsEmpty();
+  assert.equal(calls.stopped, 1);
+});
+
+test("rooms closing during a plain countdown don't cut it short", () => {
+  const { clock, calls, shutdown } = harness();
+  shutdown.roomsEmpty();
+  shutdown.begin("SIGTERM");
+  shutdown.roomsEmpty();
+  assert.equal(calls.stopped, 0);
+  clock.advance(10000);
+  assert.equal(calls.stopped, 1);
+});
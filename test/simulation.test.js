@@ -0,0 +1,681 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { loadLevels } = require("../src/levels");
+const {
+  PLAYER_HEIGHT,
+  FIXED_STEP_MS,
+  LOOP_INTERVAL_MS,
+  isLateTick,
+  createRoomState,
+  addRoomPlayer,
+  startRound,
+  removePlayerState,
+  ensurePlayerState,
+  parseInputPayload,
+  queuePlayerInput,
+  stepRoom,
+  levelDataPayload,
+  syncRoomWorld2Height,
+  runTicks,
+  deathsByCause,
+  sweptIntersects,
+  touchedAlongPath,
+  setPlayerRewind,
+} = require("../src/simulation");
+
+const { levels } = loadLevels(path.join(__dirname, "..", "levels"));
+
+const IDLE = { left: false, right: false, jump: false };
+
+function makeLevel(overrides = {}) {
+  return {
+    id: 99,
+    width: 3000,
+    groundY: 500,
+    hasGlobalFloor: false,
+    doorRequirement: "all",
+    spawnPoints: [
+      { x: 100, y: 500 - PLAYER_HEIGHT },
+      { x: 300, y: 500 - PLAYER_HEIGHT },
+      { x: 500, y: 500 - PLAYER_HEIGHT },
+    ],
+    platforms: [{ x: 0, y: 500, width: 3000, height: 20 }],
+    movingPlatforms: [],
+    fallingPlatforms: [],
+    key: { x: 2800, y: 100, width: 40, height: 40 },
+    door: { x: 2900, y: 100, width: 55, height: 75 },
+    hazards: [],
+    ...overrides,
+  };
+}
+
+function makeRoom(level, playerIds = ["a"]) {
+  const room = createRoomState({
+    roomCode: "TEST",
+    maxPlayers: 4,
+    hostId: playerIds[0],
+    level,
+  });
+  playerIds.slice(1).forEach((pid) => addRoomPlayer(room, pid));
+  startRound(room);
+  playerIds.forEach((pid) => ensurePlayerState(room, pid));
+  return room;
+}
+
+function withHeroes(room, heroes) {
+  for (const [pid, hero] of Object.entries(heroes)) {
+    room.players[pid].hero = hero;
+    ensurePlayerState(room, pid);
+  }
+  return room;
+}
+
+function run(room, ticks, inputs = {}) {
+  for (let i = 0; i < ticks; i++) {
+    for (const [pid, input] of Object.entries(inputs)) {
+      room.inputs[pid] = { ...IDLE, ...input };
+    }
+    stepRoom(room);
+  }
+}
+
+const player = (room, pid) => room.gameState.players[pid];
+
+test("a falling player lands on top of a platform", () => {
+  const room = makeRoom(makeLevel());
+  player(room, "a").y = 300;
+  player(room, "a").onGround = false;
+
+  run(room, 40);
+
+  assert.equal(player(room, "a").y, 500 - PLAYER_HEIGHT);
+  assert.equal(player(room, "a").vy, 0);
+  assert.equal(player(room, "a").onGround, true);
+});
+
+test("jumping into a platform from below bumps the head", () => {
+  const ceiling = { x: 50, y: 360, width: 200, height: 20 };
+  const level = makeLevel({
+    platforms: [...makeLevel().platforms, ceiling],
+  });
+  const room = makeRoom(level);
+
+  run(room, 1, { a: { jump: true } });
+  let minY = Infinity;
+  for (let i = 0; i < 20; i++) {
+    run(room, 1, { a: {} });
+    minY = Math.min(minY, player(room, "a").y);
+  }
+
+  assert.equal(minY, ceiling.y + ceiling.height);
+});
+
+test("a player landing on another stays stacked without pushing it down", () => {
+  const room = makeRoom(makeLevel(), ["a", "b"]);
+  const bottom = player(room, "a");
+  const top = player(room, "b");
+  top.x = bottom.x;
+  top.y = bottom.y - 150;
+  top.onGround = false;
+
+  run(room, 60);
+
+  assert.equal(bottom.y, 500 - PLAYER_HEIGHT);
+  assert.equal(top.y, bottom.y - top.height);
+  assert.equal(top.onGround, true);
+  assert.equal(top.standingOnPlayer, bottom.id);
+});
+
+test("stacked players stay stacked while the bottom one walks", () => {
+  const room = makeRoom(makeLevel(), ["a", "b"]);
+  const bottom = player(room, "a");
+  const top = player(room, "b");
+  top.x = bottom.x;
+  top.y = bottom.y - top.height;
+
+  run(room, 30, { a: { right: true }, b: { right: true } });
+
+  assert.equal(bottom.x, 250);
+  assert.equal(bottom.y, 500 - PLAYER_HEIGHT);
+  assert.equal(top.y, bottom.y - top.height);
+});
+
+test("a moving platform carries the player standing on it", () => {
+  const mp = {
+    x: 200,
+    y: 300,
+    width: 100,
+    height: 20,
+    startX: 100,
+    endX: 600,
+    speed: 2,
+  };
+  const room = makeRoom(makeLevel({ movingPlatforms: [mp] }));
+  const p = player(room, "a");
+  p.x = 220;
+  p.y = mp.y - p.height;
+
+  run(room, 20);
+
+  const platform = room.worldRuntime.movingPlatforms[0];
+  assert.equal(platform.x, 240);
+  assert.equal(p.x, 260);
+  assert.equal(p.y, mp.y - p.height);
+});
+
+test("standing on a falling platform drops it after its delay", () => {
+  const fp = { x: 80, y: 400, width: 100, height: 20 };
+  const room = makeRoom(makeLevel({ fallingPlatforms: [fp] }));
+  const p = player(room, "a");
+  p.y = fp.y - p.height;
+
+  run(room, 2);
+  const platform = room.worldRuntime.fallingPlatforms[0];
+  assert.equal(platform.falling, true);
+  assert.equal(platform.y, fp.y);
+
+  run(room, 40);
+  assert.ok(platform.y > fp.y);
+});
+
+test("falling off the world kills the team and respawns it", () => {
+  const room = makeRoom(
+    makeLevel({ platforms: [{ x: 0, y: 500, width: 300, height: 20 }] }),
+  );
+
+  for (let i = 0; i < 300 && room.gameState.gameStatus !== "dead"; i++) {
+    run(room, 1, { a: { right: true } });
+  }
+  assert.equal(room.gameState.gameStatus, "dead");
+  assert.equal(player(room, "a").dead, true);
+
+  run(room, room.respawnAtTick - room.tick, { a: {} });
+  assert.equal(room.gameState.gameStatus, "playing");
+  assert.equal(player(room, "a").dead, false);
+  assert.equal(player(room, "a").x, 100);
+});
+
+test("world 1: collecting the key and two players at the door wins", () => {
+  const room = makeRoom(levels.get(1), ["a", "b", "c"]);
+  const { key, door } = room.worldRuntime;
+
+  Object.assign(player(room, "a"), { x: key.x, y: key.y, vy: 0 });
+  run(room, 1);
+  assert.equal(room.gameState.keyCollected, true);
+
+  const atDoor = (pid) =>
+    Object.assign(player(room, pid), {
+      x: door.x,
+      y: door.y + door.height - PLAYER_HEIGHT,
+      vy: 0,
+    });
+
+  atDoor("a");
+  room.gameState.keyCollected = true;
+  stepRoom(room);
+  assert.equal(room.gameState.gameStatus, "playing");
+
+  atDoor("a");
+  atDoor("b");
+  stepRoom(room);
+  assert.equal(room.gameState.gameStatus, "won");
+});
+
+test("world 1: the door does nothing before the key is collected", () => {
+  const room = makeRoom(levels.get(1), ["a", "b"]);
+  const { door } = room.worldRuntime;
+  for (const pid of ["a", "b"]) {
+    Object.assign(player(room, pid), {
+      x: door.x,
+      y: door.y + door.height - PLAYER_HEIGHT,
+    });
+  }
+
+  stepRoom(room);
+
+  assert.equal(room.gameState.keyCollected, false);
+  assert.equal(room.gameState.gameStatus, "playing");
+});
+
+test("world 2: a danger button kills the team until the respawn delay", () => {
+  const room = makeRoom(levels.get(2), ["a", "b"]);
+  const button = room.worldRuntime.dangerButtons[0];
+  player(room, "a").x = button.x;
+
+  stepRoom(room);
+  assert.equal(room.gameState.gameStatus, "dead");
+
+  run(room, room.respawnAtTick - room.tick);
+  assert.equal(room.gameState.gameStatus, "playing");
+  assert.equal(player(room, "a").x, room.worldRuntime.spawnPoints[0].x);
+});
+
+test("a plate needing two players opens its gate only while both stand on it", () => {
+  const level = makeLevel({
+    plates: [{ id: "p", x: 600, y: 500, width: 200, height: 10, required: 2 }],
+    gates: [{ x: 1000, y: 380, width: 30, height: 120, plates: ["p"] }],
+  });
+  const room = makeRoom(level, ["a", "b"]);
+  const gate = room.worldRuntime.gates[0];
+
+  player(room, "a").x = 620;
+  run(room, 2);
+  assert.equal(room.worldRuntime.plates[0].weight, 1);
+  assert.equal(gate.open, false);
+
+  // The gate is solid while closed.
+  player(room, "b").x = 960;
+  run(room, 10, { b: { right: true } });
+  assert.equal(player(room, "b").x, gate.x - player(room, "b").width);
+
+  player(room, "b").x = 700;
+  run(room, 40, { b: {} });
+  assert.equal(gate.open, true);
+  assert.equal(gate.y, 380 - 120);
+
+  player(room, "b").x = 1200;
+  run(room, 40);
+  assert.equal(gate.open, false);
+  assert.equal(gate.y, 380);
+});
+
+test("players stacked on a plate count towards it", () => {
+  const level = makeLevel({
+    plates: [{ id: "p", x: 600, y: 500, width: 200, height: 10, required: 2 }],
+  });
+  const room = makeRoom(level, ["a", "b"]);
+  player(room, "a").x = 650;
+  player(room, "b").x = 650;
+  player(room, "b").y = 500 - PLAYER_HEIGHT * 2 - 5;
+  run(room, 10);
+
+  assert.equal(player(room, "b").standingOnPlayer, player(room, "a").id);
+  assert.equal(room.worldRuntime.plates[0].active, true);
+});
+
+test("a timed switch stays active for its duration after being left", () => {
+  const level = makeLevel({
+    plates: [
+      { id: "s", x: 600, y: 500, width: 60, height: 10, durationTicks: 5 },
+    ],
+  });
+  const room = makeRoom(level, ["a"]);
+  const plate = room.worldRuntime.plates[0];
+
+  player(room, "a").x = 600;
+  stepRoom(room);
+  assert.equal(plate.active, true);
+
+  player(room, "a").x = 100;
+  run(room, 5);
+  assert.equal(plate.active, true);
+  stepRoom(room);
+  assert.equal(plate.active, false);
+});
+
+test("the team respawns at its last checkpoint, keeping the key it had", () => {
+  const button = { x: 1500, y: 500 - 24, width: 28, height: 24 };
+  const level = makeLevel({
+    hazards: [button],
+    checkpoints: [
+      {
+        x: 800,
+        y: 400,
+        width: 40,
+        height: 100,
+        spawnPoints: [{ x: 800, y: 445 }],
+      },
+      {
+        x: 1200,
+        y: 400,
+        width: 40,
+        height: 100,
+        spawnPoints: [{ x: 1200, y: 445 }],
+      },
+    ],
+  });
+  const room = makeRoom(level, ["a"]);
+
+  room.gameState.keyCollected = true;
+  player(room, "a").x = 800;
+  stepRoom(room);
+  assert.deepEqual(room.gameState.checkpoint, { index: 0, keyCollected: true });
+
+  player(room, "a").x = button.x;
+  stepRoom(room);
+  run(room, room.respawnAtTick - room.tick);
+  assert.equal(room.gameState.gameStatus, "playing");
+  assert.equal(room.gameState.keyCollected, true);
+  assert.equal(player(room, "a").x, 800);
+
+  // Touching an earlier checkpoint again never moves the team back.
+  room.gameState.checkpoint = { index: 1, keyCollected: false };
+  player(room, "a").x = 800;
+  stepRoom(room);
+  assert.equal(room.gameState.checkpoint.index, 1);
+});
+
+test("reset rooms ignore checkpoints and respawn at the start", () => {
+  const level = makeLevel({
+    checkpoints: [
+      {
+        x: 800,
+        y: 400,
+        width: 40,
+        height: 100,
+        spawnPoints: [{ x: 800, y: 445 }],
+      },
+    ],
+  });
+  const room = makeRoom(level, ["a"]);
+  room.respawnMode = "reset";
+
+  player(room, "a").x = 800;
+  stepRoom(room);
+  assert.equal(room.gameState.checkpoint, null);
+
+  player(room, "a").y = 900;
+  run(room, 1);
+  run(room, room.respawnAtTick - room.tick);
+  assert.equal(player(room, "a").x, 100);
+});
+
+test("swept checks catch a key passed between two ticks", () => {
+  const size = { width: 10, height: 10 };
+  const rect = { x: 50, y: 0, width: 4, height: 10 };
+  assert.equal(
+    sweptIntersects({ x: 0, y: 0 }, { x: 100, y: 0 }, size, rect),
+    true,
+  );
+  assert.equal(
+    sweptIntersects({ x: 0, y: 20 }, { x: 100, y: 20 }, size, rect),
+    false,
+  );
+  assert.equal(
+    sweptIntersects({ x: 0, y: 0 }, { x: 30, y: 0 }, size, rect),
+    false,
+  );
+
+  const room = makeRoom(
+    makeLevel({ key: { x: 400, y: 460, width: 4, height: 4 } }),
+    ["a"],
+  );
+  stepRoom(room);
+  player(room, "a").x = 380;
+  stepRoom(room);
+  player(room, "a").x = 420;
+  stepRoom(room);
+  assert.equal(room.gameState.keyCollected, true);
+});
+
+test("pickups look back over a lagging player's recent path", () => {
+  const room = makeRoom(
+    makeLevel({ key: { x: 400, y: 460, width: 4, height: 4 } }),
+    ["a"],
+  );
+  room.positionHistory.a = [
+    { tick: 0, x: 380, y: 445 },
+    { tick: 1, x: 420, y: 445 },
+    { tick: 2, x: 460, y: 445 },
+  ];
+  player(room, "a").x = 500;
+  assert.equal(touchedAlongPath(room, "a", room.worldRuntime.key), false);
+
+  setPlayerRewind(room, "a", 2);
+  assert.equal(room.rewindTicks.a, 2);
+  assert.equal(touchedAlongPath(room, "a", room.worldRuntime.key, 3), true);
+
+  setPlayerRewind(room, "a", 0);
+  assert.deepEqual(room.rewindTicks, {});
+});
+
+test("a fast fall lands on a thin platform instead of passing through", () => {
+  const level = makeLevel({
+    physics: { maxFallSpeed: 80 },
+    platforms: [
+      { x: 0, y: 500, width: 3000, height: 20 },
+      { x: 600, y: 300, width: 100, height: 4 },
+    ],
+  });
+  const room = makeRoom(level, ["a"]);
+  Object.assign(player(room, "a"), { x: 620, y: 240, vy: 79, onGround: false });
+
+  stepRoom(room);
+  assert.equal(player(room, "a").y, 300 - PLAYER_HEIGHT);
+  assert.equal(player(room, "a").onGround, true);
+});
+
+test("deaths are logged with who died, how and when in the run", () => {
+  const button = { x: 600, y: 500 - 24, width: 28, height: 24 };
+  const room = makeRoom(makeLevel({ hazards: [button] }), ["a", "b"]);
+  run(room, 10);
+  player(room, "b").x = button.x;
+  stepRoom(room);
+  assert.deepEqual(room.deaths, [
+    { tick: 11, playerId: "b", cause: "dangerButton" },
+  ]);
+
+  run(room, room.respawnAtTick - room.tick);
+  player(room, "a").y = 900;
+  stepRoom(room);
+  assert.deepEqual(room.deaths.at(-1).playerId, "a");
+  assert.deepEqual(deathsByCause(room), { dangerButton: 1, fell: 1 });
+  assert.equal(runTicks(room), room.tick);
+
+  startRound(room);
+  assert.deepEqual(room.deaths, []);
+});
+
+test("world 2: every player must reach the door", () => {
+  const room = makeRoom(levels.get(2), ["a", "b", "c"]);
+  const { door } = room.worldRuntime;
+  room.gameState.keyCollected = true;
+
+  player(room, "c").x = 1000;
+  player(room, "a").x = door.x - 40;
+  player(room, "b").x = door.x + 18;
+  stepRoom(room);
+  assert.equal(room.gameState.gameStatus, "playing");
+  assert.deepEqual(room.gameState.playersAtDoor, [1, 2]);
+
+  player(room, "c").x = door.x + 70;
+  stepRoom(room);
+  assert.equal(room.gameState.gameStatus, "won");
+});
+
+test("sequenced inputs are applied one per tick and acknowledged", () => {
+  const room = makeRoom(makeLevel());
+  const send = (seq, input) =>
+    queuePlayerInput(room, "a", parseInputPayload({ input, seq, t: seq }));
+
+  send(0, { right: true });
+  send(1, { right: true });
+  send(1, { left: true });
+  send(2, {});
+
+  stepRoom(room);
+  assert.equal(room.lastProcessedInput.a, 0);
+  assert.equal(player(room, "a").x, 105);
+
+  run(room, 2);
+  assert.equal(room.lastProcessedInput.a, 2);
+  assert.equal(player(room, "a").x, 110);
+});
+
+test("identical inputs produce identical rooms", () => {
+  const simulate = () => {
+    const room = makeRoom(levels.get(1), ["a", "b"]);
+    for (let i = 0; i < 300; i++) {
+      room.inputs.a = { ...IDLE, right: true, jump: i % 25 === 0 };
+      room.inputs.b = { ...IDLE, right: i % 3 !== 0, jump: i % 40 === 0 };
+      stepRoom(room);
+    }
+    return JSON.stringify({
+      gameState: room.gameState,
+      world: room.worldRuntime,
+    });
+  };
+
+  assert.equal(simulate(), simulate());
+});
+
+test("world 2 only follows canvasHeight in legacy viewport rooms", () => {
+  const make = (viewportMode) =>
+    createRoomState({
+      roomCode: "VIEW",
+      maxPlayers: 2,
+      hostId: "a",
+      level: levels.get(2),
+      viewportMode,
+    });
+
+  const fixed = make("fixed");
+  const doorY = fixed.worldRuntime.door.y;
+  assert.equal(syncRoomWorld2Height(fixed, { canvasHeight: 700 }), false);
+  assert.equal(fixed.worldRuntime.door.y, doorY);
+  assert.deepEqual(levelDataPayload(fixed).viewport, {
+    mode: "fixed",
+    anchor: "bottom",
+    width: fixed.worldRuntime.width,
+    height: 900,
+    floorY: 820,
+  });
+
+  const legacy = make("legacy");
+  assert.equal(syncRoomWorld2Height(legacy, { canvasHeight: 700 }), true);
+  assert.equal(legacy.world2BaseY, 620);
+  assert.equal(legacy.worldRuntime.door.y, doorY - 200);
+  assert.equal(levelDataPayload(legacy).viewport.height, 700);
+});
+
+test("heroes get their own collider with feet on the spawn point", () => {
+  const room = withHeroes(makeRoom(makeLevel(), ["a", "b"]), {
+    a: "tank",
+    b: "jumper",
+  });
+
+  assert.equal(player(room, "a").height, 60);
+  assert.equal(player(room, "a").y + 60, 500);
+  assert.equal(player(room, "b").width, 40);
+  assert.equal(player(room, "b").y + 52, 500);
+
+  run(room, 10);
+  assert.equal(player(room, "a").y + 60, 500);
+});
+
+test("a dash bursts forward once and then cools down", () => {
+  const room = withHeroes(makeRoom(makeLevel()), { a: "dasher" });
+  const p = player(room, "a");
+
+  run(room, 1, { a: { ability: true } });
+  assert.equal(p.x, 114);
+  assert.ok(p.abilityCooldown > 0);
+
+  run(room, 20, { a: { ability: true } });
+  const x = p.x;
+  run(room, 1, { a: { ability: false } });
+  run(room, 1, { a: { ability: true } });
+  assert.equal(p.x, x, "still cooling down");
+});
+
+test("the jumper gets exactly one extra jump in the air", () => {
+  const room = withHeroes(makeRoom(makeLevel()), { a: "jumper" });
+  const p = player(room, "a");
+
+  run(room, 1, { a: { jump: true } });
+  run(room, 5, { a: {} });
+  run(room, 1, { a: { ability: true } });
+  assert.ok(p.vy < -10);
+  assert.equal(p.airJumps, 0);
+
+  run(room, 1, { a: {} });
+  const vy = p.vy;
+  run(room, 1, { a: { ability: true } });
+  assert.ok(p.vy > vy, "no third jump");
+});
+
+test("the carrier lifts teammates unless they brace", () => {
+  const room = withHeroes(makeRoom(makeLevel(), ["a", "b", "c"]), {
+    a: "carrier",
+    b: "dasher",
+    c: "tank",
+  });
+  const carrier = player(room, "a");
+  const rider = player(room, "b");
+  const tank = player(room, "c");
+  const stack = (p) => {
+    p.x = carrier.x;
+    p.y = carrier.y - p.height;
+  };
+
+  stack(rider);
+  run(room, 2);
+  assert.equal(rider.standingOnPlayer, carrier.id);
+
+  run(room, 1, { a: { ability: true } });
+  assert.ok(rider.vy < -14);
+
+  run(room, 60, { a: { ability: false } });
+  rider.x = 1000;
+  stack(tank);
+  run(room, 2, { c: { ability: true } });
+  assert.equal(tank.standingOnPlayer, carrier.id);
+
+  run(room, 1, { a: { ability: true } });
+  assert.equal(tank.vy, 0);
+  assert.equal(tank.y, carrier.y - tank.height);
+});
+
+test("only a callback a full step behind counts as late", () => {
+  // Interval jitter: the accumulator owes two steps now and then.
+  let accumulator = 0;
+  let owedTwo = 0;
+  for (const elapsed of [33, 34, 33, 36, 33, 41, 33, 35, 33, 34]) {
+    accumulator += elapsed;
+    const steps = Math.floor(accumulator / FIXED_STEP_MS);
+    accumulator -= steps * FIXED_STEP_MS;
+    if (steps > 1) owedTwo += 1;
+    assert.equal(isLateTick(elapsed), false);
+  }
+  assert.ok(owedTwo > 0);
+
+  assert.equal(isLateTick(LOOP_INTERVAL_MS + Math.floor(FIXED_STEP_MS)), false);
+  assert.equal(isLateTick(LOOP_INTERVAL_MS + Math.ceil(FIXED_STEP_MS)), true);
+  assert.equal(isLateTick(250), true);
+});
+
+test("a braced player holds its ground when another walks into it", () => {
+  // The tank steps first, so without bracing it would resolve the overlap
+  // by moving itself.
+  const room = withHeroes(makeRoom(makeLevel(), ["a", "b"]), {
+    a: "tank",
+    b: "dasher",
+  });
+  const tank = player(room, "a");
+  const walker = player(room, "b");
+  run(room, 2, { a: { ability: true } });
+
+  const braceX = tank.x;
+  walker.x = tank.x - walker.width + 10;
+  walker.y = tank.y + tank.height - walker.height;
+  run(room, 20, { a: { ability: false }, b: { right: true } });
+
+  assert.equal(tank.x, braceX);
+  assert.ok(walker.x + walker.width <= tank.x);
+});
+
+test("a player who leaves takes their per-player bookkeeping along", () => {
+  const room = makeRoom(makeLevel(), ["a", "b"]);
+  run(room, 3, { b: { right: true } });
+  setPlayerRewind(room, "b", 2);
+  room.latencyMs = { a: 30, b: 80 };
+
+  removePlayerState(room, "b");
+
+  assert.deepEqual(room.latencyMs, { a: 30 });
+  assert.equal(room.rewindTicks.b, undefined);
+  assert.equal(room.positionHistory.b, undefined);
+  assert.equal(room.inputs.b, undefined);
+  assert.deepEqual(room.playerOrder, ["a"]);
+});
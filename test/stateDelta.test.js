@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffState, applyDelta } = require("../src/stateDelta");
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+test("a delta only carries changed fields", () => {
+  const prev = {
+    tick: 1,
+    players: { a: { x: 1, y: 2, hero: null }, b: { x: 5, y: 5 } },
+    playersAtDoor: [],
+    movingPlatforms: [{ x: 10 }, { x: 20 }],
+  };
+  const next = clone(prev);
+  next.tick = 2;
+  next.players.a.x = 3;
+  next.movingPlatforms[1].x = 22;
+
+  assert.deepEqual(diffState(prev, next), {
+    changes: {
+      tick: 2,
+      players: { a: { x: 3 } },
+      movingPlatforms: { 1: { x: 22 } },
+    },
+    removed: [],
+  });
+});
+
+test("applying a delta reproduces the next state", () => {
+  const prev = {
+    players: { a: { x: 1, hero: null }, b: { x: 5 } },
+    playersAtDoor: [1],
+    keyCollected: false,
+  };
+  const next = {
+    players: { a: { x: 1, hero: "cat" }, c: { x: 9 } },
+    playersAtDoor: [1, 3],
+    keyCollected: true,
+  };
+
+  const delta = diffState(prev, next);
+  assert.deepEqual(delta.removed, [["players", "b"]]);
+  assert.deepEqual(applyDelta(clone(prev), delta), next);
+});
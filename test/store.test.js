@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadLevels } = require("../src/levels");
+const { createFileStore } = require("../src/store");
+const {
+  createRoomState,
+  addRoomPlayer,
+  startRound,
+  stepRoom,
+  serializeRoom,
+  restoreRoom,
+} = require("../src/simulation");
+
+const { levels } = loadLevels(path.join(__dirname, "..", "levels"));
+
+function playedRoom() {
+  const room = createRoomState({
+    roomCode: "SNAP",
+    maxPlayers: 2,
+    hostId: "a",
+    level: levels.get(1),
+  });
+  addRoomPlayer(room, "b");
+  startRound(room);
+  for (let i = 0; i < 90; i++) {
+    room.inputs.a = { left: false, right: true, jump: i % 20 === 0 };
+    stepRoom(room);
+  }
+  return room;
+}
+
+test("the file store round-trips room snapshots", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "store-"));
+  const store = createFileStore(dir);
+  assert.deepEqual(store.load(), []);
+
+  const record = serializeRoom(playedRoom());
+  await new Promise((resolve, reject) =>
+    store.save([record], (err) => (err ? reject(err) : resolve())),
+  );
+
+  assert.deepEqual(store.load(), [record]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("a restored room keeps simulating exactly like the original", () => {
+  const room = playedRoom();
+  room.recording = { id: "rec", ticks: [] };
+  const record = JSON.parse(JSON.stringify(serializeRoom(room)));
+  assert.equal(record.level, undefined);
+  assert.equal(record.recording, undefined);
+
+  const restored = restoreRoom(record, levels.get(1));
+  for (const r of [room, restored]) {
+    for (let i = 0; i < 60; i++) {
+      r.inputs.b = { left: false, right: true, jump: i % 15 === 0 };
+      stepRoom(r);
+    }
+  }
+
+  assert.equal(restored.started, true);
+  assert.deepEqual(restored.gameState, room.gameState);
+  assert.deepEqual(restored.worldRuntime, room.worldRuntime);
+});